@@ -1,11 +1,22 @@
 // Genetic Algorithm - Grid DNA
-// Each individual is a 2D grid of 0s and 1s
+// Each individual is a 2D grid of genes (0s and 1s unless a GeneType says otherwise)
 
 class DNA {
-  constructor(rows, cols, genes = null, density = 0.5) {
+  constructor(
+    rows,
+    cols,
+    genes = null,
+    density = 0.5,
+    geneType = BINARY_GENES
+  ) {
     this.rows = rows;
     this.cols = cols;
+    this.geneType = geneType;
     this.fitness = 0;
+    this.score = 0; // raw fitness: 1 minus the mean per-cell distance to target
+    this.elite = false; // carried over unchanged by elitism
+    this.parents = null; // indices in the previous generation (one for elites and migrants)
+    this.migrantFrom = null; // island a migrant copy came from, else null
 
     if (genes) {
       // Use provided genes
@@ -17,7 +28,7 @@ class DNA {
         this.genes[r] = [];
         for (let c = 0; c < cols; c++) {
           // Initialize with same density as target
-          this.genes[r][c] = random() < density ? 1 : 0;
+          this.genes[r][c] = geneType.randomGene(density);
         }
       }
     }
@@ -29,55 +40,32 @@ class DNA {
   }
 
   // Fitness function: percentage of pixels matching target
+  // (binary counts matches, palette/gray genes score by color distance)
+  // Selection uses the chosen objective (see FITNESS), which defaults to that match
   // Using exponential scaling to reward higher matches more
-  calcFitness(target) {
-    let score = 0;
+  calcFitness(target, objective = "match") {
+    let distance = 0;
     let total = this.rows * this.cols;
 
     for (let r = 0; r < this.rows; r++) {
       for (let c = 0; c < this.cols; c++) {
-        if (this.genes[r][c] === target[r][c]) {
-          score++;
-        }
+        distance += this.geneType.distance(this.genes[r][c], target[r][c]);
       }
     }
 
-    let rawFitness = score / total;
+    this.score = 1 - distance / total;
     // Exponential scaling to increase selection pressure
-    this.fitness = pow(rawFitness, 4);
+    this.fitness = pow(FITNESS[objective](this, target), 4);
   }
 
-  // Crossover: combine two parents to create child
-  crossover(partner, density) {
-    // Create empty child genes
-    let childGenes = [];
-    for (let r = 0; r < this.rows; r++) {
-      childGenes[r] = [];
-    }
-
-    // Uniform crossover works best for grids
-    for (let r = 0; r < this.rows; r++) {
-      for (let c = 0; c < this.cols; c++) {
-        if (random() < 0.5) {
-          childGenes[r][c] = this.genes[r][c];
-        } else {
-          childGenes[r][c] = partner.genes[r][c];
-        }
-      }
-    }
-
-    return new DNA(this.rows, this.cols, childGenes, density);
+  // Crossover: combine two parents to create child (see CROSSOVER)
+  crossover(partner, density, operator = "uniform") {
+    let childGenes = CROSSOVER[operator](this.genes, partner.genes);
+    return new DNA(this.rows, this.cols, childGenes, density, this.geneType);
   }
 
-  // Mutation: flip random bits
-  mutate(mutationRate) {
-    for (let r = 0; r < this.rows; r++) {
-      for (let c = 0; c < this.cols; c++) {
-        if (random() < mutationRate) {
-          // Flip the bit
-          this.genes[r][c] = this.genes[r][c] === 1 ? 0 : 1;
-        }
-      }
-    }
+  // Mutation: flip random bits, nudge palette/gray values (see MUTATION)
+  mutate(mutationRate, operator = "flip") {
+    MUTATION[operator](this, mutationRate);
   }
 }
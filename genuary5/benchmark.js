@@ -0,0 +1,273 @@
+// Headless GA Benchmark - Run Population outside of p5 and compare settings
+//
+// Usage:
+//   node benchmark.js --text GENUARY --trials 5 \
+//     --mutationRate 0.01,0.02 --popmax 100,200 --elitism 0.05,0.1 \
+//     --selection roulette,tournament --fitness match,weighted \
+//     --format csv --out report.csv
+//
+// Every comma-separated option is swept; each combination runs `trials` times
+// with seeds seed, seed+1, ... so different settings face the same random streams.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Browser scripts loaded into the sandbox, in index.html order
+const SOURCES = [
+  "rng.js",
+  "font.js",
+  "genes.js",
+  "selection.js",
+  "operators.js",
+  "fitness.js",
+  "DNA.js",
+  "population.js",
+];
+
+const DEFAULTS = {
+  text: "GENUARY",
+  trials: "3",
+  maxGenerations: "2000",
+  seed: "1",
+  mutationRate: "0.02",
+  popmax: "100",
+  elitism: "0.05",
+  selection: "roulette",
+  fitness: "match",
+  crossover: "uniform",
+  mutation: "flip",
+  adaptive: "0",
+  genes: "binary", // binary, palette or gray
+  palette: "264653,2a9d8f,e9c46a,f4a261,e76f51",
+  format: "json",
+  out: "",
+};
+
+// Options that may list several values to sweep over
+const SWEEP_KEYS = [
+  "mutationRate",
+  "popmax",
+  "elitism",
+  "selection",
+  "fitness",
+  "crossover",
+  "mutation",
+  "adaptive",
+];
+
+function parseArgs(argv) {
+  let options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    let key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    options[key] = argv[i + 1];
+  }
+  return options;
+}
+
+// Sandbox where the GA classes see seeded p5-style globals instead of p5's
+function createSandbox() {
+  let context = vm.createContext({ console });
+  for (const file of SOURCES) {
+    let code = fs.readFileSync(path.join(__dirname, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  // Classes and consts are not properties of the context, so pull them out by name
+  return vm.runInContext(
+    `installP5Math(globalThis, new SeededRandom(1));
+    ({ GeneType, Population, parseLayout, buildTextGrid, randomSeed })`,
+    context
+  );
+}
+
+// Every combination of the swept values
+function expandSweep(options) {
+  let combos = [{}];
+  for (const key of SWEEP_KEYS) {
+    let values = options[key].split(",");
+    combos = combos.flatMap((combo) =>
+      values.map((value) => ({ ...combo, [key]: value }))
+    );
+  }
+  return combos.map((combo) => ({
+    mutationRate: parseFloat(combo.mutationRate),
+    popmax: parseInt(combo.popmax, 10),
+    elitism: parseFloat(combo.elitism),
+    selection: combo.selection,
+    fitness: combo.fitness,
+    crossover: combo.crossover,
+    mutation: combo.mutation,
+    adaptiveMutation: combo.adaptive === "1",
+  }));
+}
+
+// One full run until solved or maxGenerations, with per-generation stats
+function runTrial(sandbox, target, params, seed, maxGenerations) {
+  sandbox.randomSeed(seed);
+  let geneType = new sandbox.GeneType(target.genes, target.palette);
+  let grid = target.grid.map((row) => row.map((bit) => geneType.fromBit(bit)));
+
+  let start = process.hrtime.bigint();
+  let population = new sandbox.Population(
+    grid,
+    params.mutationRate,
+    params.popmax,
+    target.density,
+    { ...params, geneType }
+  );
+
+  while (
+    !population.isFinished() &&
+    population.getGenerations() < maxGenerations
+  ) {
+    population.naturalSelection();
+    population.generate();
+    population.calcFitness();
+    population.evaluate();
+  }
+  let wallMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return {
+    params,
+    seed,
+    solved: population.isFinished(),
+    generations: population.getGenerations(),
+    wallMs,
+    history: population.getHistory(), // index = generation
+  };
+}
+
+// Mean generations and wall time per parameter combination
+function summarize(runs) {
+  let groups = new Map();
+  for (const run of runs) {
+    let key = JSON.stringify(run.params);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  }
+
+  return [...groups.values()].map((group) => {
+    let solved = group.filter((run) => run.solved);
+    return {
+      ...group[0].params,
+      trials: group.length,
+      solvedRate: solved.length / group.length,
+      meanGenerationsToSolution: solved.length
+        ? mean(solved.map((run) => run.generations))
+        : null,
+      meanWallMs: mean(group.map((run) => run.wallMs)),
+    };
+  });
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// One row per generation per run, with the run's outcome repeated on each row
+function toCsv(runs) {
+  let columns = [
+    "run",
+    "seed",
+    "mutationRate",
+    "popmax",
+    "elitism",
+    "selection",
+    "fitness",
+    "crossover",
+    "mutation",
+    "adaptiveMutation",
+    "solved",
+    "generationsToSolution",
+    "wallMs",
+    "generation",
+    "best",
+    "avg",
+    "worst",
+    "diversity",
+  ];
+  let lines = [columns.join(",")];
+  runs.forEach((run, i) => {
+    run.history.forEach((h, generation) => {
+      lines.push(
+        [
+          i,
+          run.seed,
+          run.params.mutationRate,
+          run.params.popmax,
+          run.params.elitism,
+          run.params.selection,
+          run.params.fitness,
+          run.params.crossover,
+          run.params.mutation,
+          run.params.adaptiveMutation,
+          run.solved,
+          run.solved ? run.generations : "",
+          run.wallMs.toFixed(2),
+          generation,
+          h.best.toFixed(5),
+          h.avg.toFixed(5),
+          h.worst.toFixed(5),
+          h.diversity.toFixed(5),
+        ].join(",")
+      );
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+function main() {
+  let options = parseArgs(process.argv.slice(2));
+  let sandbox = createSandbox();
+
+  let lines = sandbox.parseLayout(options.text);
+  let target = sandbox.buildTextGrid(lines);
+  target.genes = options.genes;
+  target.palette = options.palette.split(",");
+
+  let trials = parseInt(options.trials, 10);
+  let seed = parseInt(options.seed, 10);
+  let maxGenerations = parseInt(options.maxGenerations, 10);
+
+  let runs = [];
+  for (const params of expandSweep(options)) {
+    for (let t = 0; t < trials; t++) {
+      let run = runTrial(sandbox, target, params, seed + t, maxGenerations);
+      runs.push(run);
+      console.error(
+        `${params.selection}/${params.fitness}/${params.crossover}/${params.mutation} ` +
+          `rate=${params.mutationRate} pop=${params.popmax} ` +
+          `elite=${params.elitism} seed=${run.seed}: ` +
+          `${run.solved ? "solved" : "unsolved"} at gen ${run.generations} ` +
+          `in ${run.wallMs.toFixed(0)}ms`
+      );
+    }
+  }
+
+  let report =
+    options.format === "csv"
+      ? toCsv(runs)
+      : JSON.stringify(
+          {
+            text: options.text,
+            genes: options.genes,
+            maxGenerations,
+            summary: summarize(runs),
+            runs,
+          },
+          null,
+          2
+        );
+
+  if (options.out) {
+    fs.writeFileSync(options.out, report);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+main();
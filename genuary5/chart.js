@@ -0,0 +1,58 @@
+// Fitness History Chart - Scrolling line chart for the HUD
+// Plots best/avg/worst raw fitness and population diversity, all on a 0..1 scale
+
+const CHART_WIDTH = 240;
+const CHART_MIN_HEIGHT = 120;
+const CHART_WINDOW = 300; // generations visible before the chart scrolls
+
+const CHART_SERIES = [
+  { key: "best", label: "best", color: [0, 200, 100] },
+  { key: "avg", label: "avg", color: [100, 150, 255] },
+  { key: "worst", label: "worst", color: [255, 100, 100] },
+  { key: "diversity", label: "div", color: [255, 200, 0] },
+];
+
+function drawHistoryChart(history, x, y, w, h) {
+  push();
+  translate(x, y);
+
+  // Frame and 25% gridlines
+  noFill();
+  stroke(60);
+  rect(0, 0, w, h);
+  for (let i = 1; i < 4; i++) {
+    line(0, (h * i) / 4, w, (h * i) / 4);
+  }
+
+  // Only the most recent CHART_WINDOW generations, stretched to fill the width
+  let start = max(0, history.length - CHART_WINDOW);
+  let span = max(1, min(CHART_WINDOW, history.length) - 1);
+
+  noFill();
+  strokeWeight(1.5);
+  for (const series of CHART_SERIES) {
+    stroke(...series.color);
+    beginShape();
+    for (let i = start; i < history.length; i++) {
+      let px = ((i - start) / span) * w;
+      let py = h - history[i][series.key] * h;
+      vertex(px, py);
+    }
+    endShape();
+  }
+
+  // Legend and generation range
+  noStroke();
+  textSize(10);
+  let legendX = 0;
+  for (const series of CHART_SERIES) {
+    fill(...series.color);
+    text(series.label, legendX, h + 12);
+    legendX += textWidth(series.label) + 10;
+  }
+  fill(150);
+  textAlign(RIGHT);
+  text(`${start}-${max(0, history.length - 1)}`, w, h + 12);
+
+  pop();
+}
@@ -0,0 +1,132 @@
+// Evolution Engines - Drive an EvolutionRunner and keep the latest snapshot for drawing
+// WorkerEngine runs it in worker.js; LocalEngine runs it on the main thread
+// (used when workers are unavailable, e.g. when the sketch is opened from file://)
+
+class Engine {
+  constructor() {
+    this.runId = 0;
+    this.pending = 0; // commands sent but not yet answered
+    this.snapshot = null;
+    this.history = []; // every generation's stats for the current run
+    this.bests = []; // best grid of every generation, for replay
+    this.firstRecorded = null; // earliest generation in bests (not 0 for resumed runs)
+    this.view = {};
+    this.onSave = null; // called with the state requested by save()
+  }
+
+  // Start a new run; snapshots from older runs are ignored
+  start(message) {
+    this.begin({ ...message, type: "init" });
+  }
+
+  // Continue a run from a state produced by save()
+  resume(state) {
+    this.begin({ type: "load", state });
+  }
+
+  begin(message) {
+    this.runId++;
+    this.snapshot = null;
+    this.history = [];
+    this.bests = [];
+    this.firstRecorded = null;
+    this.send({ ...message, runId: this.runId });
+  }
+
+  // Ask the runner for its full state; callback receives it as plain data
+  save(callback) {
+    this.onSave = callback;
+    this.send({ type: "save" });
+  }
+
+  send(message) {
+    this.pending++;
+    this.post({ ...message, view: this.view });
+  }
+
+  // Only ask for more generations once the previous answer has arrived
+  isIdle() {
+    return this.pending === 0;
+  }
+
+  receive(snapshot) {
+    this.pending = max(0, this.pending - 1);
+    if (snapshot.runId !== this.runId) return;
+
+    for (let i = 0; i < snapshot.history.length; i++) {
+      this.history[snapshot.historyStart + i] = snapshot.history[i];
+    }
+    for (const { generation, grid } of snapshot.bests) {
+      if (this.firstRecorded === null) this.firstRecorded = generation;
+      this.fillBests(generation - 1);
+      this.bests[generation] = grid;
+    }
+    this.fillBests(snapshot.generations);
+    this.snapshot = snapshot;
+
+    if (snapshot.state && this.onSave) {
+      this.onSave(snapshot.state);
+      this.onSave = null;
+    }
+  }
+
+  // Generations whose best did not change share the previous grid
+  fillBests(generation) {
+    for (let g = this.bests.length; g <= generation; g++) {
+      this.bests[g] = this.bests[g - 1];
+    }
+  }
+}
+
+class WorkerEngine extends Engine {
+  constructor(onError) {
+    super();
+    this.worker = new Worker("worker.js");
+    this.worker.onmessage = (event) => this.receive(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.worker.terminate();
+      onError(event);
+    };
+  }
+
+  post(message) {
+    this.worker.postMessage(message);
+  }
+}
+
+class LocalEngine extends Engine {
+  constructor() {
+    super();
+    this.runner = new EvolutionRunner();
+  }
+
+  // p5's random() is swapped for the runner's seeded one while the GA runs,
+  // so runs are reproducible here too
+  post(message) {
+    let p5Random = globalThis.random;
+    globalThis.random = (a, b) => this.runner.rng.random(a, b);
+    let snapshot;
+    try {
+      snapshot = this.runner.handle(message);
+    } finally {
+      globalThis.random = p5Random;
+    }
+    this.receive(snapshot);
+  }
+}
+
+// Prefer a worker; fall back to the main thread if one cannot be created or fails to load
+function createEngine(onFallback) {
+  if (window.Worker && location.protocol !== "file:") {
+    try {
+      return new WorkerEngine(() => {
+        console.warn("Evolution worker failed, running on the main thread");
+        onFallback(new LocalEngine());
+      });
+    } catch (error) {
+      console.warn("Evolution worker unavailable:", error);
+    }
+  }
+  return new LocalEngine();
+}
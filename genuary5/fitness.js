@@ -0,0 +1,167 @@
+// Fitness Objectives - What selection optimizes
+// Each objective rates an individual against the target from 0 to 1; DNA.calcFitness
+// raises it to the 4th power for selection pressure. dna.score always stays the
+// plain per-cell match, used for display and for deciding when the run is solved
+
+const FALSE_POSITIVE_WEIGHT = 3; // weighted: a wrong background cell costs this many misses
+const SYMMETRY_WEIGHT = 0.3; // symmetry: share of the objective given to mirror symmetry
+const SSIM_C1 = 0.0001; // structural: SSIM stabilizers for values in 0..1
+const SSIM_C2 = 0.0009;
+const NOVELTY_WEIGHT = 0.5; // novelty: share of the objective given to novelty
+const NOVELTY_NEIGHBORS = 10; // novelty: nearest behaviors averaged
+const NOVELTY_ARCHIVE_ADDS = 2; // novelty: most novel individuals archived per generation
+const NOVELTY_ARCHIVE_MAX = 200; // novelty: oldest behaviors are dropped past this
+
+const FITNESS = {
+  match: matchObjective,
+  weighted: weightedObjective,
+  structural: structuralObjective,
+  symmetry: symmetryObjective,
+  novelty: matchObjective, // blended with novelty across the population, see applyNovelty
+};
+
+const FITNESS_NAMES = Object.keys(FITNESS);
+
+// Share of matching cells (what the sketch has always optimized)
+function matchObjective(dna) {
+  return dna.score;
+}
+
+// Like match, but stray cells on the target's background (value 0, no ink
+// for font targets) cost more than missing ones, which keeps letters clean
+function weightedObjective(dna, target) {
+  let cost = 0;
+  let maxCost = 0;
+  for (let r = 0; r < dna.rows; r++) {
+    for (let c = 0; c < dna.cols; c++) {
+      let weight = target[r][c] === 0 ? FALSE_POSITIVE_WEIGHT : 1;
+      cost += weight * dna.geneType.distance(dna.genes[r][c], target[r][c]);
+      maxCost += weight;
+    }
+  }
+  return 1 - cost / maxCost;
+}
+
+// Mean SSIM of the 3x3 neighborhood around every cell: rewards matching
+// local shape and contrast rather than exact cells
+function structuralObjective(dna, target) {
+  let scale = dna.geneType.levels - 1;
+  let rows = dna.rows;
+  let cols = dna.cols;
+  // Window indices per row and column; edges repeat the border cells
+  let rowWindows = [];
+  for (let r = 0; r < rows; r++) {
+    rowWindows[r] = [max(r - 1, 0), r, min(r + 1, rows - 1)];
+  }
+  let colWindows = [];
+  for (let c = 0; c < cols; c++) {
+    colWindows[c] = [max(c - 1, 0), c, min(c + 1, cols - 1)];
+  }
+
+  let total = 0;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let sx = 0;
+      let sy = 0;
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      for (const rr of rowWindows[r]) {
+        for (const cc of colWindows[c]) {
+          let x = dna.genes[rr][cc] / scale;
+          let y = target[rr][cc] / scale;
+          sx += x;
+          sy += y;
+          sxx += x * x;
+          syy += y * y;
+          sxy += x * y;
+        }
+      }
+      let muX = sx / 9;
+      let muY = sy / 9;
+      let varX = sxx / 9 - muX * muX;
+      let varY = syy / 9 - muY * muY;
+      let cov = sxy / 9 - muX * muY;
+      total +=
+        ((2 * muX * muY + SSIM_C1) * (2 * cov + SSIM_C2)) /
+        ((muX * muX + muY * muY + SSIM_C1) * (varX + varY + SSIM_C2));
+    }
+  }
+  // SSIM runs from -1 to 1
+  return (total / (rows * cols) + 1) / 2;
+}
+
+// Match plus a bonus for left-right mirror symmetry of the individual itself
+function symmetryObjective(dna) {
+  let distance = 0;
+  let half = floor(dna.cols / 2);
+  for (let r = 0; r < dna.rows; r++) {
+    for (let c = 0; c < half; c++) {
+      distance += dna.geneType.distance(
+        dna.genes[r][c],
+        dna.genes[r][dna.cols - 1 - c]
+      );
+    }
+  }
+  let symmetry = half > 0 ? 1 - distance / (dna.rows * half) : 1;
+  return lerp(dna.score, symmetry, SYMMETRY_WEIGHT);
+}
+
+// Behavior of an individual: the mean value of each row and each column, 0..1.
+// Small enough to compare against a large archive every generation
+function behaviorOf(dna) {
+  let scale = dna.geneType.levels - 1;
+  let rows = new Array(dna.rows).fill(0);
+  let cols = new Array(dna.cols).fill(0);
+  for (let r = 0; r < dna.rows; r++) {
+    for (let c = 0; c < dna.cols; c++) {
+      let v = dna.genes[r][c] / scale;
+      rows[r] += v / dna.cols;
+      cols[c] += v / dna.rows;
+    }
+  }
+  return rows.concat(cols);
+}
+
+function behaviorDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += abs(a[i] - b[i]);
+  return total / a.length;
+}
+
+// Novelty search: each individual's mean distance to its nearest behaviors in the
+// population and archive (normalized to the most novel), blended with its match.
+// The most novel behaviors join the archive, so revisiting them stops paying off
+function applyNovelty(individuals, archive) {
+  let behaviors = individuals.map((dna) => behaviorOf(dna));
+  let others = behaviors.concat(archive);
+
+  let novelty = behaviors.map((behavior, i) => {
+    // Keep the NOVELTY_NEIGHBORS smallest distances, in order
+    let nearest = [];
+    for (let j = 0; j < others.length; j++) {
+      if (j === i) continue;
+      let d = behaviorDistance(behavior, others[j]);
+      if (nearest.length === NOVELTY_NEIGHBORS) {
+        if (d >= nearest[NOVELTY_NEIGHBORS - 1]) continue;
+        nearest.pop();
+      }
+      let k = nearest.length;
+      while (k > 0 && nearest[k - 1] > d) k--;
+      nearest.splice(k, 0, d);
+    }
+    return nearest.length ? sumOf(nearest) / nearest.length : 0;
+  });
+
+  let most = max(novelty);
+  individuals.forEach((dna, i) => {
+    let value = most > 0 ? novelty[i] / most : 0;
+    dna.fitness = pow(lerp(dna.score, value, NOVELTY_WEIGHT), 4);
+  });
+
+  let ranked = novelty.map((n, i) => i).sort((a, b) => novelty[b] - novelty[a]);
+  for (const i of ranked.slice(0, NOVELTY_ARCHIVE_ADDS)) {
+    archive.push(behaviors[i]);
+  }
+  archive.splice(0, max(0, archive.length - NOVELTY_ARCHIVE_MAX));
+}
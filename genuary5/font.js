@@ -0,0 +1,590 @@
+// Bitmap Font - 3x5 glyphs for building target grids
+// Covers A-Z, 0-9, space and common punctuation
+
+const GLYPH_WIDTH = 3;
+const GLYPH_HEIGHT = 5;
+
+const FONT = {
+  A: [
+    [0, 1, 0],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  B: [
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 1, 0],
+  ],
+  C: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+  D: [
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 0],
+  ],
+  E: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 0],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+  F: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+  ],
+  G: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  H: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  I: [
+    [1, 1, 1],
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+    [1, 1, 1],
+  ],
+  J: [
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  K: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  L: [
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+  M: [
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  N: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  O: [
+    [0, 1, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [0, 1, 0],
+  ],
+  P: [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 0, 0],
+  ],
+  Q: [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [0, 0, 1],
+  ],
+  R: [
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 1, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  S: [
+    [0, 1, 1],
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+    [1, 1, 0],
+  ],
+  T: [
+    [1, 1, 1],
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+  ],
+  U: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  V: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [0, 1, 0],
+  ],
+  W: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+  ],
+  X: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [0, 1, 0],
+    [1, 0, 1],
+    [1, 0, 1],
+  ],
+  Y: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+  ],
+  Z: [
+    [1, 1, 1],
+    [0, 0, 1],
+    [0, 1, 0],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+  0: [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  1: [
+    [0, 1, 0],
+    [1, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+    [1, 1, 1],
+  ],
+  2: [
+    [1, 1, 1],
+    [0, 0, 1],
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+  3: [
+    [1, 1, 1],
+    [0, 0, 1],
+    [0, 1, 1],
+    [0, 0, 1],
+    [1, 1, 1],
+  ],
+  4: [
+    [1, 0, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [0, 0, 1],
+    [0, 0, 1],
+  ],
+  5: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 1],
+    [0, 0, 1],
+    [1, 1, 1],
+  ],
+  6: [
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  7: [
+    [1, 1, 1],
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 1, 0],
+    [0, 1, 0],
+  ],
+  8: [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+  ],
+  9: [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [0, 0, 1],
+    [1, 1, 1],
+  ],
+  " ": [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+  ".": [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+  ],
+  ",": [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+    [1, 0, 0],
+  ],
+  "!": [
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+  ],
+  "?": [
+    [1, 1, 1],
+    [0, 0, 1],
+    [0, 1, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+  ],
+  ":": [
+    [0, 0, 0],
+    [0, 1, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+    [0, 0, 0],
+  ],
+  ";": [
+    [0, 0, 0],
+    [0, 1, 0],
+    [0, 0, 0],
+    [0, 1, 0],
+    [1, 0, 0],
+  ],
+  "'": [
+    [0, 1, 0],
+    [0, 1, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+  '"': [
+    [1, 0, 1],
+    [1, 0, 1],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+  "-": [
+    [0, 0, 0],
+    [0, 0, 0],
+    [1, 1, 1],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+  "+": [
+    [0, 0, 0],
+    [0, 1, 0],
+    [1, 1, 1],
+    [0, 1, 0],
+    [0, 0, 0],
+  ],
+  "=": [
+    [0, 0, 0],
+    [1, 1, 1],
+    [0, 0, 0],
+    [1, 1, 1],
+    [0, 0, 0],
+  ],
+  "/": [
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 1, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+  ],
+  "(": [
+    [0, 1, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+    [1, 0, 0],
+    [0, 1, 0],
+  ],
+  ")": [
+    [0, 1, 0],
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 1, 0],
+  ],
+  _: [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [1, 1, 1],
+  ],
+  "#": [
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 1],
+  ],
+  "&": [
+    [0, 1, 0],
+    [1, 0, 1],
+    [0, 1, 0],
+    [1, 0, 1],
+    [0, 1, 1],
+  ],
+  "*": [
+    [1, 0, 1],
+    [0, 1, 0],
+    [1, 0, 1],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+  "<": [
+    [0, 0, 1],
+    [0, 1, 0],
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ],
+  ">": [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+    [0, 1, 0],
+    [1, 0, 0],
+  ],
+  "@": [
+    [1, 1, 1],
+    [1, 0, 1],
+    [1, 1, 1],
+    [1, 0, 0],
+    [1, 1, 1],
+  ],
+};
+
+// Separates lines when a layout is typed as a single string
+const LINE_SEPARATOR = "|";
+
+// Split typed text into layout lines, uppercased to match the glyph keys
+function parseLayout(text) {
+  return text
+    .toUpperCase()
+    .split(LINE_SEPARATOR)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+// Characters in the layout that have no glyph
+function unsupportedChars(lines) {
+  let missing = new Set();
+  for (const line of lines) {
+    for (const char of line) {
+      if (!FONT[char]) {
+        missing.add(char);
+      }
+    }
+  }
+  return [...missing];
+}
+
+// How text targets are laid out; buildTextGrid() options override these
+const TEXT_LAYOUT = {
+  letterSpacing: 1, // empty columns between glyphs
+  rowSpacing: 1, // empty rows between lines
+  align: "left", // "left", "center" or "right", or one per line (the last repeats)
+  proportional: false, // trim glyphs to their inked columns instead of 3 wide
+  kerning: false, // pull pairs one column closer where their edges cannot touch
+  padding: 0, // empty cells around the text
+  border: false, // 1-cell frame around the padding
+};
+const ALIGNMENTS = ["left", "center", "right"];
+const SPACE_WIDTH = 2; // a space has no ink to trim, so it gets a fixed width
+
+// Rows of the glyph to draw; unknown characters are left blank
+function glyphBitmap(char, proportional) {
+  let glyph = FONT[char];
+  if (!glyph) {
+    return blankBitmap(GLYPH_WIDTH);
+  }
+  if (!proportional) return glyph;
+
+  let inked = [];
+  for (let col = 0; col < GLYPH_WIDTH; col++) {
+    if (glyph.some((row) => row[col] === 1)) inked.push(col);
+  }
+  if (inked.length === 0) {
+    return blankBitmap(SPACE_WIDTH);
+  }
+  let first = inked[0];
+  let last = inked[inked.length - 1];
+  return glyph.map((row) => row.slice(first, last + 1));
+}
+
+function blankBitmap(width) {
+  let bitmap = [];
+  for (let r = 0; r < GLYPH_HEIGHT; r++) {
+    bitmap[r] = new Array(width).fill(0);
+  }
+  return bitmap;
+}
+
+// -1 when the facing edge columns have no ink within a row of each other,
+// so the pair can sit one column closer without merging (never for blanks)
+function kerningBetween(left, right) {
+  let leftEdge = left.map((row) => row[row.length - 1]);
+  let rightEdge = right.map((row) => row[0]);
+  if (!left.some((row) => row.includes(1))) return 0;
+  if (!right.some((row) => row.includes(1))) return 0;
+
+  for (let r = 0; r < GLYPH_HEIGHT; r++) {
+    if (leftEdge[r] !== 1) continue;
+    for (let d = -1; d <= 1; d++) {
+      if (rightEdge[r + d] === 1) return 0;
+    }
+  }
+  return -1;
+}
+
+// Glyph bitmaps of one line with their x offsets, and the line's width
+function layoutLine(line, settings) {
+  let glyphs = [];
+  let x = 0;
+  let previous = null;
+  for (const char of line) {
+    let bitmap = glyphBitmap(char, settings.proportional);
+    if (previous) {
+      x += settings.letterSpacing;
+      if (settings.kerning && settings.letterSpacing > 0) {
+        x += kerningBetween(previous, bitmap);
+      }
+    }
+    glyphs.push({ x, bitmap });
+    x += bitmap[0].length;
+    previous = bitmap;
+  }
+  return { glyphs, width: x };
+}
+
+// Alignment of line i: a single setting, or a list whose last entry repeats
+function lineAlignment(align, i) {
+  if (Array.isArray(align)) {
+    return align[min(i, align.length - 1)];
+  }
+  return align;
+}
+
+// Render layout lines into a 2D grid of 0s and 1s (see TEXT_LAYOUT for options)
+function buildTextGrid(lines, options = {}) {
+  let settings = { ...TEXT_LAYOUT, ...options };
+  let laidOut = lines.map((line) => layoutLine(line, settings));
+
+  // Text block size, then padding and border around it
+  let blockWidth = max(laidOut.map((line) => line.width));
+  let blockHeight =
+    lines.length * GLYPH_HEIGHT + (lines.length - 1) * settings.rowSpacing;
+  let inset = settings.padding + (settings.border ? 1 : 0);
+  let cols = blockWidth + inset * 2;
+  let rows = blockHeight + inset * 2;
+
+  // Initialize with zeros
+  let grid = [];
+  for (let r = 0; r < rows; r++) {
+    grid[r] = [];
+    for (let c = 0; c < cols; c++) {
+      grid[r][c] = 0;
+    }
+  }
+
+  // Fill in the letters, each line shifted by its alignment
+  laidOut.forEach((line, i) => {
+    let align = lineAlignment(settings.align, i);
+    let xOffset = inset;
+    if (align === "center") xOffset += floor((blockWidth - line.width) / 2);
+    if (align === "right") xOffset += blockWidth - line.width;
+    let yOffset = inset + i * (GLYPH_HEIGHT + settings.rowSpacing);
+
+    for (const glyph of line.glyphs) {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        for (let col = 0; col < glyph.bitmap[row].length; col++) {
+          if (glyph.bitmap[row][col] === 1) {
+            grid[yOffset + row][xOffset + glyph.x + col] = 1;
+          }
+        }
+      }
+    }
+  });
+
+  if (settings.border) {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (r === 0 || c === 0 || r === rows - 1 || c === cols - 1) {
+          grid[r][c] = 1;
+        }
+      }
+    }
+  }
+
+  // Count after drawing so the border cells are included
+  let onesCount = 0;
+  for (const row of grid) {
+    for (const cell of row) onesCount += cell;
+  }
+
+  return {
+    grid,
+    rows,
+    cols,
+    density: onesCount / (rows * cols), // ratio of 1s, for smarter initialization
+  };
+}
@@ -0,0 +1,132 @@
+// Gene Types - What a single grid cell can hold
+// binary: 0/1 bits, palette: index into N colors, gray: 8-bit value 0..255
+
+const GRAY_NUDGE = 24; // max step a gray gene moves per mutation
+
+class GeneType {
+  constructor(kind, palette = null) {
+    this.kind = kind;
+
+    if (kind === "palette") {
+      // Order by brightness so nudging an index moves to a similar color
+      this.palette = palette
+        .map((hex) => hexToRgb(hex))
+        .sort((a, b) => luminance(a) - luminance(b));
+      this.levels = this.palette.length;
+
+      // Precompute normalized color distances between every pair of indices
+      this.distances = [];
+      for (let i = 0; i < this.levels; i++) {
+        this.distances[i] = [];
+        for (let j = 0; j < this.levels; j++) {
+          this.distances[i][j] = colorDistance(
+            this.palette[i],
+            this.palette[j]
+          );
+        }
+      }
+    } else if (kind === "gray") {
+      this.levels = 256;
+    } else {
+      this.kind = "binary";
+      this.levels = 2;
+    }
+  }
+
+  isBinary() {
+    return this.kind === "binary";
+  }
+
+  // Raw fitness at which the run counts as solved
+  solvedScore() {
+    return this.kind === "gray" ? 0.98 : 0.999;
+  }
+
+  // Initial gene; binary genes follow the target density
+  randomGene(density) {
+    if (this.kind === "binary") {
+      return random() < density ? 1 : 0;
+    }
+    return floor(random(this.levels));
+  }
+
+  // Distance between two genes, 0 (same) to 1 (opposite)
+  distance(a, b) {
+    if (this.kind === "palette") {
+      return this.distances[a][b];
+    }
+    if (this.kind === "gray") {
+      return abs(a - b) / 255;
+    }
+    return a === b ? 0 : 1;
+  }
+
+  // Binary flips; palette and gray genes nudge toward a neighbouring value
+  mutateGene(g) {
+    if (this.kind === "palette") {
+      let step = random() < 0.5 ? -1 : 1;
+      return constrain(g + step, 0, this.levels - 1);
+    }
+    if (this.kind === "gray") {
+      return constrain(round(g + random(-GRAY_NUDGE, GRAY_NUDGE)), 0, 255);
+    }
+    return g === 1 ? 0 : 1;
+  }
+
+  // Map a 0/1 font target onto this gene type (ink is the brightest value)
+  fromBit(bit) {
+    if (this.kind === "binary") return bit;
+    return bit === 1 ? this.levels - 1 : 0;
+  }
+
+  // Nearest gene for an [r, g, b] color
+  fromColor(rgb) {
+    if (this.kind === "gray") {
+      return round(luminance(rgb));
+    }
+    if (this.kind === "palette") {
+      let nearest = 0;
+      for (let i = 1; i < this.levels; i++) {
+        if (
+          colorDistance(rgb, this.palette[i]) <
+          colorDistance(rgb, this.palette[nearest])
+        ) {
+          nearest = i;
+        }
+      }
+      return nearest;
+    }
+    return luminance(rgb) < 128 ? 1 : 0;
+  }
+
+  // [r, g, b] used to render a non-binary gene
+  colorOf(g) {
+    if (this.kind === "palette") {
+      return this.palette[g];
+    }
+    return [g, g, g];
+  }
+}
+
+const BINARY_GENES = new GeneType("binary");
+
+function hexToRgb(hex) {
+  let h = hex.replace("#", "");
+  return [
+    parseInt(h.slice(0, 2), 16),
+    parseInt(h.slice(2, 4), 16),
+    parseInt(h.slice(4, 6), 16),
+  ];
+}
+
+function luminance(rgb) {
+  return 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+}
+
+// Euclidean RGB distance scaled to 0..1
+function colorDistance(a, b) {
+  let dr = a[0] - b[0];
+  let dg = a[1] - b[1];
+  let db = a[2] - b[2];
+  return sqrt(dr * dr + dg * dg + db * db) / (255 * sqrt(3));
+}
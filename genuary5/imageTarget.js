@@ -0,0 +1,91 @@
+// Image Target - Turn a picture into a target grid
+// Binary: dark pixels become 1s, so logos and silhouettes on light backgrounds work as-is
+
+// Rows for a given column count that keep the image's aspect ratio
+function rowsForImage(img, cols) {
+  return max(1, round((img.height / img.width) * cols));
+}
+
+// [r, g, b] of each cell after downsampling, transparent areas count as white
+function sampleColors(img, rows, cols) {
+  let small = img.get();
+  small.resize(cols, rows);
+  small.loadPixels();
+
+  let colors = [];
+  for (let r = 0; r < rows; r++) {
+    colors[r] = [];
+    for (let c = 0; c < cols; c++) {
+      let i = (r * cols + c) * 4;
+      let alpha = small.pixels[i + 3] / 255;
+      colors[r][c] = [0, 1, 2].map(
+        (k) => small.pixels[i + k] * alpha + 255 * (1 - alpha)
+      );
+    }
+  }
+  return colors;
+}
+
+// Brightness 0..1 of each cell
+function sampleLuminance(img, rows, cols) {
+  return sampleColors(img, rows, cols).map((row) =>
+    row.map((rgb) => luminance(rgb) / 255)
+  );
+}
+
+// Threshold (or Floyd-Steinberg dither) an image into a 2D grid of 0s and 1s
+function imageToGrid(img, settings) {
+  let cols = settings.cols;
+  let rows = settings.rows || rowsForImage(img, cols);
+  let values = sampleLuminance(img, rows, cols);
+
+  let grid = [];
+  let onesCount = 0;
+  for (let r = 0; r < rows; r++) {
+    grid[r] = [];
+    for (let c = 0; c < cols; c++) {
+      let v = settings.invert ? 1 - values[r][c] : values[r][c];
+      let bit = v < settings.threshold ? 1 : 0;
+      grid[r][c] = bit;
+      onesCount += bit;
+
+      if (settings.dither) {
+        // Push the quantization error onto unvisited neighbours
+        let error = v - (bit === 1 ? 0 : 1);
+        if (settings.invert) error = -error;
+        diffuse(values, r, c + 1, error * (7 / 16));
+        diffuse(values, r + 1, c - 1, error * (3 / 16));
+        diffuse(values, r + 1, c, error * (5 / 16));
+        diffuse(values, r + 1, c + 1, error * (1 / 16));
+      }
+    }
+  }
+
+  return {
+    grid,
+    rows,
+    cols,
+    density: onesCount / (rows * cols),
+  };
+}
+
+function diffuse(values, r, c, amount) {
+  if (r < values.length && c >= 0 && c < values[r].length) {
+    values[r][c] += amount;
+  }
+}
+
+// Palette and gray targets take each cell's nearest gene value instead of a bit
+function imageToGeneGrid(img, settings, geneType) {
+  if (geneType.isBinary()) {
+    return imageToGrid(img, settings);
+  }
+
+  let cols = settings.cols;
+  let rows = settings.rows || rowsForImage(img, cols);
+  let grid = sampleColors(img, rows, cols).map((row) =>
+    row.map((rgb) => geneType.fromColor(rgb))
+  );
+
+  return { grid, rows, cols, density: 0.5 };
+}
@@ -0,0 +1,249 @@
+// Genetic Algorithm - Island Model
+// Several sub-populations (demes) evolve independently and periodically
+// send copies of their best individuals to neighbouring islands
+
+const TOPOLOGIES = ["ring", "full"];
+
+class Archipelago {
+  // options.islands: number of sub-populations (num is split between them)
+  // options.migrationInterval: generations between migrations
+  // options.migrants: best individuals each island sends per migration
+  // options.topology: "ring" (to the next island) or "full" (to every island)
+  // Other options are passed on to each island's Population
+  constructor(target, mutationRate, num, density = 0.5, options = {}) {
+    this.target = target;
+    this.rows = target.length;
+    this.cols = target[0].length;
+    this.density = density;
+    this.geneType = options.geneType || BINARY_GENES;
+    this.migrationInterval = options.migrationInterval || 20;
+    this.migrants = options.migrants || 2;
+    this.setTopology(options.topology || "ring");
+
+    let count = max(2, options.islands || 4);
+    let size = max(2, floor(num / count));
+    this.islands = [];
+    for (let i = 0; i < count; i++) {
+      this.islands.push(
+        new Population(target, mutationRate, size, density, options)
+      );
+    }
+
+    this.generations = 0;
+    this.migrations = 0;
+    this.finished = false;
+    this.history = [];
+    this.evaluate();
+  }
+
+  calcFitness() {
+    for (const island of this.islands) island.calcFitness();
+  }
+
+  naturalSelection() {
+    for (const island of this.islands) island.naturalSelection();
+  }
+
+  generate() {
+    for (const island of this.islands) island.generate();
+    this.generations++;
+  }
+
+  // Copies of each island's best replace the worst individuals of its destinations.
+  // Runs from evaluate(), once the new generation's fitness is known
+  migrate() {
+    // Pick everyone's emigrants before anyone is replaced
+    let emigrants = this.islands.map((island, from) => {
+      let individuals = island.getPopulation();
+      return individuals
+        .map((dna, index) => index)
+        .sort((a, b) => individuals[b].fitness - individuals[a].fitness)
+        .slice(0, this.migrants)
+        .map((index) => ({ dna: individuals[index], from, index }));
+    });
+
+    for (let i = 0; i < this.islands.length; i++) {
+      let arrivals = [];
+      for (const from of this.sourcesOf(i)) {
+        arrivals.push(...emigrants[from]);
+      }
+
+      let residents = this.islands[i].getPopulation();
+      let worstFirst = residents
+        .map((dna, index) => index)
+        .sort((a, b) => residents[a].fitness - residents[b].fitness);
+      for (let k = 0; k < arrivals.length && k < worstFirst.length; k++) {
+        let arrival = arrivals[k];
+        let copy = new DNA(
+          this.rows,
+          this.cols,
+          arrival.dna.genes.map((row) => row.slice()),
+          this.density,
+          this.geneType
+        );
+        // Novelty is only blended in at the next generation's calcFitness
+        copy.calcFitness(this.target, this.islands[i].getFitness());
+        copy.parents = [arrival.index];
+        copy.migrantFrom = arrival.from;
+        residents[worstFirst[k]] = copy;
+      }
+    }
+    this.migrations++;
+  }
+
+  // Islands that send migrants to island i
+  sourcesOf(i) {
+    let n = this.islands.length;
+    if (this.topology === "ring") {
+      return [(i - 1 + n) % n];
+    }
+    return this.islands.map((island, j) => j).filter((j) => j !== i);
+  }
+
+  setTopology(name) {
+    if (!TOPOLOGIES.includes(name)) {
+      throw new Error(`Unknown migration topology: ${name}`);
+    }
+    this.topology = name;
+  }
+
+  evaluate() {
+    if (
+      this.generations > 0 &&
+      this.generations % this.migrationInterval === 0
+    ) {
+      this.migrate();
+    }
+    for (const island of this.islands) island.evaluate();
+    this.updateBest();
+
+    this.history.push({
+      best: this.getBestFitness(),
+      avg: this.getAverageFitness(),
+      worst: this.getWorstFitness(),
+      diversity: this.getDiversity(),
+    });
+  }
+
+  updateBest() {
+    this.bestIsland = this.islands[0];
+    for (const island of this.islands) {
+      if (island.getBestFitness() > this.bestIsland.getBestFitness()) {
+        this.bestIsland = island;
+      }
+    }
+    this.finished = this.islands.some((island) => island.isFinished());
+  }
+
+  setTarget(target, density) {
+    this.target = target;
+    this.density = density;
+    for (const island of this.islands) island.setTarget(target, density);
+    this.updateBest();
+  }
+
+  getIslands() {
+    return this.islands;
+  }
+
+  getBest() {
+    return this.bestIsland.getBest();
+  }
+
+  getBestFitness() {
+    return this.bestIsland.getBestFitness();
+  }
+
+  isFinished() {
+    return this.finished;
+  }
+
+  getGenerations() {
+    return this.generations;
+  }
+
+  getSelection() {
+    return this.islands[0].getSelection();
+  }
+
+  setSelection(name) {
+    for (const island of this.islands) island.setSelection(name);
+  }
+
+  getFitness() {
+    return this.islands[0].getFitness();
+  }
+
+  setFitness(name) {
+    for (const island of this.islands) island.setFitness(name);
+    this.updateBest();
+  }
+
+  getMutationRate() {
+    return this.bestIsland.getMutationRate();
+  }
+
+  getConfig() {
+    return {
+      ...this.islands[0].getConfig(),
+      popmax: this.getPopulation().length,
+      islands: this.islands.length,
+      migrationInterval: this.migrationInterval,
+      migrants: this.migrants,
+      topology: this.topology,
+    };
+  }
+
+  // Every individual of every island, island by island
+  getPopulation() {
+    return this.islands.flatMap((island) => island.getPopulation());
+  }
+
+  getAverageFitness() {
+    let individuals = this.getPopulation();
+    let total = 0;
+    for (const dna of individuals) total += dna.score;
+    return total / individuals.length;
+  }
+
+  getWorstFitness() {
+    return min(this.islands.map((island) => island.getWorstFitness()));
+  }
+
+  // Diversity across all islands; each island's own is in its history
+  getDiversity() {
+    return meanHammingDistance(this.getPopulation());
+  }
+
+  getConsensus() {
+    return consensusOf(this.getPopulation(), this.geneType.levels);
+  }
+
+  getHistory() {
+    return this.history;
+  }
+
+  getState() {
+    return {
+      generations: this.generations,
+      migrations: this.migrations,
+      topology: this.topology,
+      history: this.history,
+      islands: this.islands.map((island) => island.getState()),
+    };
+  }
+
+  restoreState(state) {
+    if (state.islands.length !== this.islands.length) {
+      throw new Error(
+        `Saved run has ${state.islands.length} islands, expected ${this.islands.length}`
+      );
+    }
+    this.generations = state.generations;
+    this.migrations = state.migrations;
+    this.setTopology(state.topology);
+    this.history = state.history.slice();
+    this.islands.forEach((island, i) => island.restoreState(state.islands[i]));
+    this.updateBest();
+  }
+}
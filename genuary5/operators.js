@@ -0,0 +1,142 @@
+// Genetic Operators - Crossover and mutation for grid DNA
+// Crossovers take two parent grids and return new child genes,
+// mutations change a DNA's genes in place
+
+const BLOCK_MAX = 3; // largest side of a mutated block
+const ADAPTIVE_FLOOR = 0.1; // adaptive rate never drops below 10% of the base rate
+
+const CROSSOVER = {
+  uniform: uniformCrossover,
+  singlePoint: singlePointCrossover,
+  twoPoint: twoPointCrossover,
+  row: rowCrossover,
+  column: columnCrossover,
+  block: blockCrossover,
+};
+
+const MUTATION = {
+  flip: flipMutation,
+  block: blockMutation,
+  rowShift: rowShiftMutation,
+};
+
+const CROSSOVER_NAMES = Object.keys(CROSSOVER);
+const MUTATION_NAMES = Object.keys(MUTATION);
+
+// Child cell (r, c) comes from `a` when pick(r, c) is true, else from `b`
+function combine(a, b, pick) {
+  let childGenes = [];
+  for (let r = 0; r < a.length; r++) {
+    childGenes[r] = [];
+    for (let c = 0; c < a[r].length; c++) {
+      childGenes[r][c] = pick(r, c) ? a[r][c] : b[r][c];
+    }
+  }
+  return childGenes;
+}
+
+// Uniform crossover works best for grids
+function uniformCrossover(a, b) {
+  return combine(a, b, () => random() < 0.5);
+}
+
+// Cells before a cut (in reading order) from one parent, the rest from the other
+function singlePointCrossover(a, b) {
+  let cols = a[0].length;
+  let cut = floor(random(a.length * cols));
+  return combine(a, b, (r, c) => r * cols + c < cut);
+}
+
+// The span between two cuts comes from the second parent
+function twoPointCrossover(a, b) {
+  let cols = a[0].length;
+  let total = a.length * cols;
+  let first = floor(random(total));
+  let second = floor(random(total));
+  let start = min(first, second);
+  let end = max(first, second);
+  return combine(a, b, (r, c) => {
+    let i = r * cols + c;
+    return i < start || i >= end;
+  });
+}
+
+// Whole rows from either parent
+function rowCrossover(a, b) {
+  let fromA = a.map(() => random() < 0.5);
+  return combine(a, b, (r) => fromA[r]);
+}
+
+// Whole columns from either parent
+function columnCrossover(a, b) {
+  let fromA = a[0].map(() => random() < 0.5);
+  return combine(a, b, (r, c) => fromA[c]);
+}
+
+// Copy of the first parent with a random rectangle swapped in from the second
+function blockCrossover(a, b) {
+  let rows = a.length;
+  let cols = a[0].length;
+  let top = floor(random(rows));
+  let left = floor(random(cols));
+  let bottom = top + floor(random(1, rows - top + 1));
+  let right = left + floor(random(1, cols - left + 1));
+  return combine(
+    a,
+    b,
+    (r, c) => r < top || r >= bottom || c < left || c >= right
+  );
+}
+
+// Independent per-cell mutation (bit flip, or a nudge for palette/gray genes)
+function flipMutation(dna, mutationRate) {
+  for (let r = 0; r < dna.rows; r++) {
+    for (let c = 0; c < dna.cols; c++) {
+      if (random() < mutationRate) {
+        dna.genes[r][c] = dna.geneType.mutateGene(dna.genes[r][c]);
+      }
+    }
+  }
+}
+
+// Mutate a whole rectangle of up to BLOCK_MAX x BLOCK_MAX cells,
+// often enough to touch as many cells on average as flipMutation
+function blockMutation(dna, mutationRate) {
+  let averageArea = ((1 + BLOCK_MAX) / 2) ** 2;
+  if (random() >= min(1, (mutationRate * dna.rows * dna.cols) / averageArea)) {
+    return;
+  }
+
+  let top = floor(random(dna.rows));
+  let left = floor(random(dna.cols));
+  let bottom = min(dna.rows, top + floor(random(1, BLOCK_MAX + 1)));
+  let right = min(dna.cols, left + floor(random(1, BLOCK_MAX + 1)));
+  for (let r = top; r < bottom; r++) {
+    for (let c = left; c < right; c++) {
+      dna.genes[r][c] = dna.geneType.mutateGene(dna.genes[r][c]);
+    }
+  }
+}
+
+// Each row slides one cell left or right (wrapping) with probability mutationRate,
+// then cells flip as usual since shifting alone cannot create or remove ink
+function rowShiftMutation(dna, mutationRate) {
+  for (let r = 0; r < dna.rows; r++) {
+    if (random() < mutationRate) {
+      let row = dna.genes[r];
+      if (random() < 0.5) {
+        row.push(row.shift());
+      } else {
+        row.unshift(row.pop());
+      }
+    }
+  }
+  flipMutation(dna, mutationRate);
+}
+
+// Rate that decays linearly from the base rate at 50% raw fitness (a random grid)
+// down to ADAPTIVE_FLOOR of it at a perfect match
+function adaptiveMutationRate(mutationRate, bestRawFitness) {
+  let progress = constrain((bestRawFitness - 0.5) / 0.5, 0, 1);
+  return mutationRate * lerp(1, ADAPTIVE_FLOOR, progress);
+}
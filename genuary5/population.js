@@ -2,13 +2,34 @@
 // A population of binary grids evolving toward a target
 
 class Population {
-  constructor(target, mutationRate, num, density = 0.5) {
+  // options.geneType: GeneType of the cells (defaults to binary)
+  // options.selection: name of a SELECTION strategy (defaults to roulette)
+  // options.crossover: name of a CROSSOVER operator (defaults to uniform)
+  // options.mutation: name of a MUTATION operator (defaults to flip)
+  // options.adaptiveMutation: decay the mutation rate as the best improves
+  // options.elitism: fraction of the population kept unchanged (defaults to 5%)
+  // options.fitness: name of a FITNESS objective (defaults to match)
+  constructor(target, mutationRate, num, density = 0.5, options = {}) {
     this.target = target; // 2D target grid
     this.mutationRate = mutationRate;
     this.generations = 0;
     this.finished = false;
-    this.perfectScore = 1;
     this.density = density; // target density for initialization
+    this.geneType = options.geneType || BINARY_GENES;
+    this.perfectScore = this.geneType.solvedScore();
+    this.setSelection(options.selection || "roulette");
+    this.crossover = options.crossover || "uniform";
+    this.mutation = options.mutation || "flip";
+    this.adaptiveMutation = options.adaptiveMutation || false;
+    this.elitism = options.elitism !== undefined ? options.elitism : 0.05;
+    this.archive = []; // behaviors seen by novelty search
+    this.setFitness(options.fitness || "match");
+    if (!CROSSOVER[this.crossover]) {
+      throw new Error(`Unknown crossover operator: ${this.crossover}`);
+    }
+    if (!MUTATION[this.mutation]) {
+      throw new Error(`Unknown mutation operator: ${this.mutation}`);
+    }
 
     this.rows = target.length;
     this.cols = target[0].length;
@@ -16,69 +37,97 @@ class Population {
     // Create initial population with biased density
     this.population = [];
     for (let i = 0; i < num; i++) {
-      this.population[i] = new DNA(this.rows, this.cols, null, density);
+      this.population[i] = new DNA(
+        this.rows,
+        this.cols,
+        null,
+        density,
+        this.geneType
+      );
     }
 
     this.matingPool = [];
     this.bestDNA = this.population[0];
     this.bestFitness = 0;
     this.bestRawFitness = 0;
+    this.history = []; // per-generation { best, avg, worst, diversity }
 
     this.calcFitness();
+    this.evaluate();
   }
 
   // Calculate fitness for all individuals
   calcFitness() {
     for (let i = 0; i < this.population.length; i++) {
-      this.population[i].calcFitness(this.target);
+      this.population[i].calcFitness(this.target, this.objective);
+    }
+    // Novelty depends on the whole population, not just each individual
+    if (this.objective === "novelty") {
+      applyNovelty(this.population, this.archive);
     }
   }
 
-  // Generate mating pool based on fitness (tournament selection)
-  naturalSelection() {
-    this.matingPool = [];
-
-    // Find max fitness for normalization
-    let maxFitness = 0;
-    for (let i = 0; i < this.population.length; i++) {
-      if (this.population[i].fitness > maxFitness) {
-        maxFitness = this.population[i].fitness;
-      }
+  // Switch fitness objective; fitness is recalculated when a run is under way
+  setFitness(name) {
+    if (!FITNESS[name]) {
+      throw new Error(`Unknown fitness objective: ${name}`);
     }
+    this.objective = name;
+    this.archive = [];
+    if (this.population) {
+      this.calcFitness();
+      this.updateBest();
+    }
+  }
 
-    // Add to mating pool based on normalized fitness
-    for (let i = 0; i < this.population.length; i++) {
-      let fitness = maxFitness > 0 ? this.population[i].fitness / maxFitness : 0;
-      let n = floor(fitness * 100) + 1;
-      for (let j = 0; j < n; j++) {
-        this.matingPool.push(this.population[i]);
-      }
+  // Switch selection strategy, takes effect from the next generation
+  setSelection(name) {
+    if (!SELECTION[name]) {
+      throw new Error(`Unknown selection strategy: ${name}`);
     }
+    this.selection = name;
+  }
+
+  // Number of top individuals carried over unchanged
+  eliteCount() {
+    return max(1, floor(this.population.length * this.elitism));
+  }
+
+  // Pick two parents (as population indices) for every child to be born
+  naturalSelection() {
+    let children = this.population.length - this.eliteCount();
+    this.matingPool = SELECTION[this.selection](this.population, children * 2);
   }
 
   // Create next generation with elitism
   generate() {
-    // Sort by fitness (descending)
-    let sorted = this.population.slice().sort((a, b) => b.fitness - a.fitness);
+    // Sort indices by fitness (descending) so elites remember where they came from
+    let sorted = this.population
+      .map((dna, i) => i)
+      .sort((a, b) => this.population[b].fitness - this.population[a].fitness);
 
-    // Keep top 5% (elitism)
-    let eliteCount = max(1, floor(this.population.length * 0.05));
+    // Keep top individuals (elitism)
+    let eliteCount = this.eliteCount();
 
     let newPopulation = [];
 
     // Preserve elites
     for (let i = 0; i < eliteCount; i++) {
-      newPopulation.push(sorted[i]);
+      let elite = this.population[sorted[i]];
+      elite.elite = true;
+      elite.parents = [sorted[i]];
+      newPopulation.push(elite);
     }
 
     // Fill rest with children
+    let rate = this.getMutationRate();
     for (let i = eliteCount; i < this.population.length; i++) {
-      let a = floor(random(this.matingPool.length));
-      let b = floor(random(this.matingPool.length));
-      let partnerA = this.matingPool[a];
-      let partnerB = this.matingPool[b];
-      let child = partnerA.crossover(partnerB, this.density);
-      child.mutate(this.mutationRate);
+      let k = (i - eliteCount) * 2;
+      let partnerA = this.population[this.matingPool[k]];
+      let partnerB = this.population[this.matingPool[k + 1]];
+      let child = partnerA.crossover(partnerB, this.density, this.crossover);
+      child.mutate(rate, this.mutation);
+      child.parents = [this.matingPool[k], this.matingPool[k + 1]];
       newPopulation.push(child);
     }
 
@@ -86,39 +135,54 @@ class Population {
     this.generations++;
   }
 
-  // Find the best individual
+  // Find the best individual and record this generation's stats
   evaluate() {
-    let worldrecord = 0;
-    let index = 0;
+    this.updateBest();
+
+    this.history.push({
+      best: this.bestRawFitness,
+      avg: this.getAverageFitness(),
+      worst: this.getWorstFitness(),
+      diversity: this.getDiversity(),
+    });
+  }
+
+  // BEST is the individual closest to the target (highest score): it is shown,
+  // decides when the run is solved and drives adaptive mutation. Under objectives
+  // other than match it need not be the fittest, which only selection goes by
+  updateBest() {
+    let best = 0;
+    let fittest = 0;
 
     for (let i = 0; i < this.population.length; i++) {
-      if (this.population[i].fitness > worldrecord) {
-        index = i;
-        worldrecord = this.population[i].fitness;
+      if (this.population[i].score > this.population[best].score) {
+        best = i;
+      }
+      if (this.population[i].fitness > this.population[fittest].fitness) {
+        fittest = i;
       }
     }
 
-    this.bestDNA = this.population[index];
-    this.bestFitness = worldrecord;
+    this.bestDNA = this.population[best];
+    this.bestFitness = this.population[fittest].fitness;
 
-    // Calculate raw fitness for display
-    let score = 0;
-    let total = this.rows * this.cols;
-    let grid = this.bestDNA.getGrid();
-    for (let r = 0; r < this.rows; r++) {
-      for (let c = 0; c < this.cols; c++) {
-        if (grid[r][c] === this.target[r][c]) {
-          score++;
-        }
-      }
-    }
-    this.bestRawFitness = score / total;
+    // Raw fitness for display
+    this.bestRawFitness = this.bestDNA.score;
 
-    if (this.bestRawFitness >= 0.999) {
+    if (this.bestRawFitness >= this.perfectScore) {
       this.finished = true;
     }
   }
 
+  // Swap in an edited target mid-run; the population keeps evolving toward it
+  setTarget(target, density) {
+    this.target = target;
+    this.density = density;
+    this.finished = false;
+    this.calcFitness();
+    this.updateBest();
+  }
+
   getBest() {
     return this.bestDNA.getGrid();
   }
@@ -135,6 +199,37 @@ class Population {
     return this.generations;
   }
 
+  getSelection() {
+    return this.selection;
+  }
+
+  getFitness() {
+    return this.objective;
+  }
+
+  // Mutation rate applied to the next generation
+  getMutationRate() {
+    if (this.adaptiveMutation) {
+      return adaptiveMutationRate(this.mutationRate, this.bestRawFitness);
+    }
+    return this.mutationRate;
+  }
+
+  // Settings that define the run, for logging and reproducing experiments
+  getConfig() {
+    return {
+      geneType: this.geneType.kind,
+      mutationRate: this.mutationRate,
+      popmax: this.population.length,
+      selection: this.selection,
+      fitness: this.objective,
+      crossover: this.crossover,
+      mutation: this.mutation,
+      adaptiveMutation: this.adaptiveMutation,
+      elitism: this.elitism,
+    };
+  }
+
   getPopulation() {
     return this.population;
   }
@@ -142,18 +237,123 @@ class Population {
   getAverageFitness() {
     let total = 0;
     for (let i = 0; i < this.population.length; i++) {
-      // Calculate raw fitness for display
-      let score = 0;
-      let grid = this.population[i].getGrid();
-      for (let r = 0; r < this.rows; r++) {
-        for (let c = 0; c < this.cols; c++) {
-          if (grid[r][c] === this.target[r][c]) {
-            score++;
-          }
-        }
-      }
-      total += score / (this.rows * this.cols);
+      // Raw fitness for display
+      total += this.population[i].score;
     }
     return total / this.population.length;
   }
+
+  getWorstFitness() {
+    let worst = 1;
+    for (let i = 0; i < this.population.length; i++) {
+      worst = min(worst, this.population[i].score);
+    }
+    return worst;
+  }
+
+  getDiversity() {
+    return meanHammingDistance(this.population);
+  }
+
+  getConsensus() {
+    return consensusOf(this.population, this.geneType.levels);
+  }
+
+  // Stats of every evaluated generation, starting with the initial population
+  getHistory() {
+    return this.history;
+  }
+
+  // Plain data to resume the run from (the RNG state is saved by the runner)
+  getState() {
+    return {
+      generations: this.generations,
+      selection: this.selection,
+      fitness: this.objective,
+      archive: this.archive,
+      history: this.history,
+      individuals: this.population.map((dna) => ({
+        genes: dna.genes,
+        fitness: dna.fitness, // novelty fitness can't be recomputed from genes alone
+        elite: dna.elite,
+        parents: dna.parents,
+        migrantFrom: dna.migrantFrom,
+      })),
+    };
+  }
+
+  // Replace the individuals and counters with a saved state from getState()
+  restoreState(state) {
+    this.generations = state.generations;
+    this.setSelection(state.selection);
+    // Runs saved before objectives existed used plain match
+    this.objective = state.fitness || "match";
+    this.archive = (state.archive || []).map((behavior) => behavior.slice());
+    this.history = state.history.slice();
+    this.population = state.individuals.map((saved) => {
+      let dna = new DNA(
+        this.rows,
+        this.cols,
+        saved.genes,
+        this.density,
+        this.geneType
+      );
+      dna.elite = saved.elite;
+      dna.parents = saved.parents;
+      dna.migrantFrom =
+        saved.migrantFrom !== undefined ? saved.migrantFrom : null;
+      dna.calcFitness(this.target, this.objective);
+      dna.fitness = saved.fitness;
+      return dna;
+    });
+
+    this.finished = false;
+    this.updateBest();
+  }
+}
+
+// Mean Hamming distance between two individuals, as a fraction of cells.
+// Counting each cell's values gives the exact all-pairs mean in O(n * cells)
+function meanHammingDistance(individuals) {
+  let n = individuals.length;
+  if (n < 2) return 0;
+
+  let rows = individuals[0].rows;
+  let cols = individuals[0].cols;
+  let pairs = (n * (n - 1)) / 2;
+  let differing = 0;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let counts = new Map();
+      for (let i = 0; i < n; i++) {
+        let g = individuals[i].genes[r][c];
+        counts.set(g, (counts.get(g) || 0) + 1);
+      }
+      // Pairs that disagree = all pairs - pairs sharing a value
+      let same = 0;
+      for (const k of counts.values()) same += (k * (k - 1)) / 2;
+      differing += pairs - same;
+    }
+  }
+  return differing / pairs / (rows * cols);
+}
+
+// Per-cell share of individuals with the cell set, 0..1
+// (palette/gray genes use the mean value scaled to 0..1)
+function consensusOf(individuals, levels) {
+  let n = individuals.length;
+  let rows = individuals[0].rows;
+  let cols = individuals[0].cols;
+  let consensus = [];
+  for (let r = 0; r < rows; r++) {
+    consensus[r] = [];
+    for (let c = 0; c < cols; c++) {
+      let total = 0;
+      for (let i = 0; i < n; i++) {
+        total += individuals[i].genes[r][c];
+      }
+      consensus[r][c] = total / n / (levels - 1);
+    }
+  }
+  return consensus;
 }
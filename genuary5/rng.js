@@ -0,0 +1,49 @@
+// Seeded Random - Deterministic stand-ins for p5's math globals
+// Lets the GA classes run outside p5 (Node benchmark, Web Worker) and reproduce a run from its seed
+
+class SeededRandom {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.state = seed >>> 0;
+  }
+
+  // mulberry32: one 32-bit word of state, so it can be saved and restored exactly
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Same argument forms as p5's random(): (), (max), (min, max), (array)
+  random(a, b) {
+    let r = this.next();
+    if (a === undefined) return r;
+    if (Array.isArray(a)) return a[Math.floor(r * a.length)];
+    if (b === undefined) return r * a;
+    return a + r * (b - a);
+  }
+}
+
+// Define the p5 helpers the GA code uses on `scope` (a worker's self, a Node vm context)
+function installP5Math(scope, rng) {
+  const spread = (args) => (Array.isArray(args[0]) ? args[0] : args);
+
+  scope.random = (a, b) => rng.random(a, b);
+  scope.randomSeed = (seed) => rng.setSeed(seed);
+  scope.floor = Math.floor;
+  scope.ceil = Math.ceil;
+  scope.round = Math.round;
+  scope.abs = Math.abs;
+  scope.sqrt = Math.sqrt;
+  scope.pow = Math.pow;
+  scope.max = (...args) => Math.max(...spread(args));
+  scope.min = (...args) => Math.min(...spread(args));
+  scope.constrain = (n, low, high) => Math.max(Math.min(n, high), low);
+  scope.lerp = (start, stop, amt) => start + (stop - start) * amt;
+  scope.int = (n) => parseInt(n, 10);
+  scope.float = (n) => parseFloat(n);
+}
@@ -0,0 +1,219 @@
+// Evolution Runner - Owns the population and answers engine commands
+// Runs inside the Web Worker (worker.js), or on the main thread when workers are unavailable.
+// Every command is answered with a snapshot: just enough state to render one frame.
+// All randomness comes from this.rng, so a saved run resumes into the same future
+
+const MAX_STEP_MS = 25; // time budget per step when running at full speed
+
+class EvolutionRunner {
+  constructor() {
+    this.evolver = null; // Population or Archipelago
+    this.rng = new SeededRandom();
+    this.runId = 0;
+    this.seed = 0;
+    this.geneSpec = null; // { kind, palette } the GeneType was built from
+    this.sentHistory = 0; // history entries already included in a snapshot
+    this.recorded = []; // { generation, grid } best grids not yet sent
+    this.lastBest = null;
+  }
+
+  handle(message) {
+    let state = null;
+    if (message.type === "init") {
+      this.init(message);
+    } else if (message.type === "load") {
+      this.load(message.state, message.runId);
+    } else if (message.type === "save") {
+      state = this.save();
+    } else if (message.type === "step") {
+      this.step(message.generations);
+    } else if (message.type === "setTarget") {
+      this.evolver.setTarget(message.target, message.density);
+      this.recordBest();
+    } else if (message.type === "setSelection") {
+      this.evolver.setSelection(message.name);
+    } else if (message.type === "setFitness") {
+      this.evolver.setFitness(message.name);
+      this.recordBest();
+    } else if (message.type === "setTopology" && this.evolver.setTopology) {
+      this.evolver.setTopology(message.name);
+    }
+    let snapshot = this.snapshot(message.view);
+    if (state) snapshot.state = state;
+    return snapshot;
+  }
+
+  // Start a new run; GeneType is rebuilt here because class instances
+  // lose their methods when posted to a worker
+  init(message) {
+    this.runId = message.runId;
+    this.sentHistory = 0;
+    this.recorded = [];
+    this.lastBest = null;
+    this.seed = message.seed;
+    this.rng.setSeed(message.seed);
+    this.geneSpec = message.geneType;
+
+    let geneType = new GeneType(
+      message.geneType.kind,
+      message.geneType.palette
+    );
+    let options = { ...message.options, geneType };
+    let Evolver = options.islands > 1 ? Archipelago : Population;
+    this.evolver = new Evolver(
+      message.target,
+      message.mutationRate,
+      message.popmax,
+      message.density,
+      options
+    );
+    this.recordBest();
+  }
+
+  // Rebuild the run a save() came from, then put back its genes and RNG state
+  load(state, runId) {
+    this.init({ ...state, runId });
+    this.evolver.restoreState(state.evolver);
+    this.rng.state = state.rngState;
+    // Best grids are not saved, so replay of a resumed run starts here
+    this.recorded = [];
+    this.lastBest = null;
+    this.recordBest();
+  }
+
+  // Everything load() needs, as plain JSON-safe data; settings changed
+  // mid-run (selection, fitness, topology, target) are saved as they are now
+  save() {
+    // The config only names the gene kind; geneSpec also has the palette
+    let { geneType, ...options } = this.evolver.getConfig();
+    return {
+      seed: this.seed,
+      rngState: this.rng.state,
+      target: this.evolver.target,
+      density: this.evolver.density,
+      mutationRate: options.mutationRate,
+      popmax: options.popmax,
+      geneType: this.geneSpec,
+      options,
+      evolver: this.evolver.getState(),
+    };
+  }
+
+  // Advance `generations` generations, or as many as fit in MAX_STEP_MS for "max"
+  step(generations) {
+    let start = performance.now();
+    let done = 0;
+    while (!this.evolver.isFinished()) {
+      if (generations === "max") {
+        if (performance.now() - start > MAX_STEP_MS) break;
+      } else if (done >= generations) {
+        break;
+      }
+      this.evolver.naturalSelection();
+      this.evolver.generate();
+      this.evolver.calcFitness();
+      this.evolver.evaluate();
+      this.recordBest();
+      done++;
+    }
+  }
+
+  // Keep the best grid for replay, only when it changed (elites carry it over
+  // unchanged for many generations); the engine fills in the gaps
+  recordBest() {
+    let grid = this.evolver.getBest();
+    if (grid === this.lastBest) return;
+    this.lastBest = grid;
+    this.recorded.push({ generation: this.evolver.getGenerations(), grid });
+  }
+
+  // view.sort: wall order ("index" or "fitness")
+  // view.wallSize: thumbnails for a single population
+  // view.islandSize: thumbnails per island column
+  // view.consensus: include the per-cell consensus grid
+  snapshot(view) {
+    let evolver = this.evolver;
+    let history = evolver.getHistory();
+    let newHistory = history.slice(this.sentHistory);
+    let historyStart = this.sentHistory;
+    this.sentHistory = history.length;
+    let bests = this.recorded;
+    this.recorded = [];
+
+    let islands = evolver instanceof Archipelago ? evolver.getIslands() : null;
+
+    return {
+      runId: this.runId,
+      seed: this.seed,
+      generations: evolver.getGenerations(),
+      finished: evolver.isFinished(),
+      best: evolver.getBest(),
+      bestFitness: evolver.getBestFitness(),
+      avgFitness: evolver.getAverageFitness(),
+      selection: evolver.getSelection(),
+      fitness: evolver.getFitness(),
+      mutationRate: evolver.getMutationRate(),
+      config: evolver.getConfig(),
+      history: newHistory,
+      historyStart,
+      bests,
+      wall: islands
+        ? islandSlots(islands, view.sort, view.islandSize)
+        : populationSlots(evolver.getPopulation(), view.sort, view.wallSize),
+      wallCols: islands ? islands.length : view.wallCols,
+      islands: islands
+        ? islands.map((island) => ({ diversity: island.getDiversity() }))
+        : null,
+      consensus: view.consensus ? evolver.getConsensus() : null,
+    };
+  }
+}
+
+// Population indices in wall order: array order, or best first
+function wallOrder(individuals, sort, count) {
+  let order = individuals.map((dna, i) => i);
+  if (sort === "fitness") {
+    order.sort((a, b) => individuals[b].score - individuals[a].score);
+  }
+  return order.slice(0, count);
+}
+
+// Plain data for one thumbnail
+function wallSlot(individuals, index, label) {
+  let dna = individuals[index];
+  return {
+    label,
+    genes: dna.genes,
+    score: dna.score,
+    elite: dna.elite,
+    parents: dna.parents,
+    migrantFrom: dna.migrantFrom,
+  };
+}
+
+// Wall slots for a single population, in wall order
+function populationSlots(individuals, sort, count) {
+  return wallOrder(individuals, sort, count).map((index) =>
+    wallSlot(individuals, index, `#${index}`)
+  );
+}
+
+// Wall slots for an archipelago, row by row with one column per island
+// (null where an island has run out of individuals)
+function islandSlots(islands, sort, count) {
+  let columns = islands.map((island, c) => {
+    let individuals = island.getPopulation();
+    return wallOrder(individuals, sort, count).map((index) =>
+      wallSlot(individuals, index, `I${c + 1} #${index}`)
+    );
+  });
+
+  let slots = [];
+  let rows = max(columns.map((column) => column.length));
+  for (let r = 0; r < rows; r++) {
+    for (const column of columns) {
+      slots.push(column[r] || null);
+    }
+  }
+  return slots;
+}
@@ -0,0 +1,118 @@
+// Selection Strategies - Pick parents for the next generation
+// Each strategy returns `count` indices into the population
+
+const TOURNAMENT_SIZE = 3; // contestants per tournament
+
+const SELECTION = {
+  roulette: rouletteSelection,
+  tournament: tournamentSelection,
+  rank: rankSelection,
+  sus: stochasticUniversalSampling,
+};
+
+const SELECTION_NAMES = Object.keys(SELECTION);
+
+// Fitness-proportional mating pool: each individual is added 1-101 times
+function rouletteSelection(population, count) {
+  // Find max fitness for normalization
+  let maxFitness = 0;
+  for (let i = 0; i < population.length; i++) {
+    if (population[i].fitness > maxFitness) {
+      maxFitness = population[i].fitness;
+    }
+  }
+
+  // Add to mating pool based on normalized fitness
+  let matingPool = [];
+  for (let i = 0; i < population.length; i++) {
+    let fitness = maxFitness > 0 ? population[i].fitness / maxFitness : 0;
+    let n = floor(fitness * 100) + 1;
+    for (let j = 0; j < n; j++) {
+      matingPool.push(i);
+    }
+  }
+
+  let picks = [];
+  for (let i = 0; i < count; i++) {
+    picks.push(matingPool[floor(random(matingPool.length))]);
+  }
+  return picks;
+}
+
+// Best of TOURNAMENT_SIZE random individuals wins each slot
+function tournamentSelection(population, count) {
+  let picks = [];
+  for (let i = 0; i < count; i++) {
+    let winner = floor(random(population.length));
+    for (let k = 1; k < TOURNAMENT_SIZE; k++) {
+      let contestant = floor(random(population.length));
+      if (population[contestant].fitness > population[winner].fitness) {
+        winner = contestant;
+      }
+    }
+    picks.push(winner);
+  }
+  return picks;
+}
+
+// Linear ranking: the worst gets weight 1, the best gets weight N
+function rankSelection(population, count) {
+  let order = population
+    .map((dna, i) => i)
+    .sort((a, b) => population[a].fitness - population[b].fitness);
+  let weights = order.map((index, rank) => rank + 1);
+  let total = sumOf(weights);
+
+  let picks = [];
+  for (let i = 0; i < count; i++) {
+    picks.push(order[spinWheel(weights, random(total))]);
+  }
+  return picks;
+}
+
+// One spin with `count` evenly spaced pointers, so picks track expected counts
+function stochasticUniversalSampling(population, count) {
+  let weights = population.map((dna) => dna.fitness);
+  let total = sumOf(weights);
+  if (total === 0) {
+    weights = weights.map(() => 1);
+    total = weights.length;
+  }
+
+  let step = total / count;
+  let start = random(step);
+  let picks = [];
+  let i = 0;
+  let cumulative = weights[0];
+  for (let p = 0; p < count; p++) {
+    let pointer = start + p * step;
+    while (cumulative < pointer && i < weights.length - 1) {
+      i++;
+      cumulative += weights[i];
+    }
+    picks.push(i);
+  }
+
+  // Pointers come out in population order; shuffle so pairs are random
+  for (let j = picks.length - 1; j > 0; j--) {
+    let k = floor(random(j + 1));
+    [picks[j], picks[k]] = [picks[k], picks[j]];
+  }
+  return picks;
+}
+
+// Index whose cumulative weight first reaches `value`
+function spinWheel(weights, value) {
+  let cumulative = 0;
+  for (let i = 0; i < weights.length; i++) {
+    cumulative += weights[i];
+    if (value < cumulative) return i;
+  }
+  return weights.length - 1;
+}
+
+function sumOf(values) {
+  let total = 0;
+  for (const v of values) total += v;
+  return total;
+}
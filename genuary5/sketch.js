@@ -1,77 +1,115 @@
 // Genetic Algorithm - Evolving GENUARY Grid
 // Adapted from Daniel Shiffman's Evolving Shakespeare
 
-const FONT = {
-  G: [
-    [1, 1, 1],
-    [1, 0, 0],
-    [1, 0, 1],
-    [1, 0, 1],
-    [1, 1, 1],
-  ],
-  E: [
-    [1, 1, 1],
-    [1, 0, 0],
-    [1, 1, 0],
-    [1, 0, 0],
-    [1, 1, 1],
-  ],
-  N: [
-    [1, 0, 1],
-    [1, 0, 1],
-    [1, 1, 1],
-    [1, 0, 1],
-    [1, 0, 1],
-  ],
-  U: [
-    [1, 0, 1],
-    [1, 0, 1],
-    [1, 0, 1],
-    [1, 0, 1],
-    [1, 1, 1],
-  ],
-  A: [
-    [0, 1, 0],
-    [1, 0, 1],
-    [1, 1, 1],
-    [1, 0, 1],
-    [1, 0, 1],
-  ],
-  R: [
-    [1, 1, 0],
-    [1, 0, 1],
-    [1, 1, 0],
-    [1, 0, 1],
-    [1, 0, 1],
-  ],
-  Y: [
-    [1, 0, 1],
-    [1, 0, 1],
-    [0, 1, 0],
-    [0, 1, 0],
-    [0, 1, 0],
-  ],
+const DEFAULT_TEXT = "GENUARY";
+
+let layout = parseLayout(DEFAULT_TEXT);
+// Text layout (see TEXT_LAYOUT in font.js): ?align=center,right&proportional=1
+// &kerning=1&padding=2&border=1&spacing=1&leading=1, key j cycles alignment
+const textLayout = { ...TEXT_LAYOUT };
+
+// Output frames shared with the other days (?frame=square or portrait, key b);
+// cells shrink until everything fits. "auto" sizes the canvas to the content
+const FRAMES = {
+  auto: null,
+  square: { w: 1080, h: 1080 }, // 1:1
+  portrait: { w: 1080, h: 1350 }, // 4:5
 };
-
-const layout = ["GENUARY"];
-const letterSpacing = 1;
-const rowSpacing = 1;
+let frameName = "auto";
+const MAX_PIXEL_SIZE = 14;
+const MAX_POP_PIXEL_SIZE = 10;
+// Longest side (px) of the BEST grid and of each wall grid for image targets,
+// so the wall stays about as big as for a line of text
+const IMAGE_GRID_SIZE = 256;
+const IMAGE_POP_GRID_SIZE = 50;
 
 let target; // 2D array of 0s and 1s
 let targetRows, targetCols;
 let targetDensity; // ratio of 1s in target
-let population;
+let engine; // runs the GA in a worker or on the main thread (engine.js)
 let mutationRate = 0.02;
 let popmax = 100;
-let pixelSize = 14;
+let pixelSize = MAX_PIXEL_SIZE;
+let textInput; // on-canvas input for the target phrase
+let fileInput; // picker for image targets
+let speedSelect; // generations per frame
+let timeline; // replay scrubber over the recorded generations
+
+// Generations the engine advances per rendered frame; "max" runs flat out
+const GENS_PER_FRAME = ["1", "5", "20", "100", "max"];
+let gensPerFrame = 1;
+
+// Every run is seeded so it can be saved (key x) and resumed exactly;
+// ?seed=N reuses the same seed on each reset instead of picking a new one
+let fixedSeed = null;
+const RUN_FILE_VERSION = 1;
+
+// Image target settings (drop an image on the canvas or pass ?img=path)
+let sourceImage = null; // when set, the target comes from this image
+let loadedImageGrid = null; // target of a loaded image run, kept until new text or image
+const imageSettings = {
+  cols: 32, // grid resolution; rows follow the aspect ratio unless set
+  rows: null,
+  threshold: 0.5, // luminance below this becomes a 1
+  dither: false,
+  invert: false,
+};
+
+// Gene mode: binary bits, palette indices or 8-bit gray (?genes=palette)
+const GENE_MODES = ["binary", "palette", "gray"];
+const DEFAULT_PALETTE = ["264653", "2a9d8f", "e9c46a", "f4a261", "e76f51"];
+let geneMode = "binary";
+let palette = DEFAULT_PALETTE; // hex colors, override with ?palette=hex,hex,...
+let geneType = BINARY_GENES;
+
+// Operators passed to Population, e.g. ?selection=tournament&crossover=block
+const gaOptions = {
+  selection: "roulette",
+  fitness: "match", // objective selection optimizes (see FITNESS), ?fitness=novelty
+  crossover: "uniform",
+  mutation: "flip",
+  adaptiveMutation: false, // ?adaptive=1
+  elitism: 0.05, // fraction kept unchanged each generation, ?elitism=0.1
+};
+
+// Island model (?islands=4&migration=20&migrants=2&topology=full), off when islands < 2
+const islandOptions = {
+  islands: 1,
+  migrationInterval: 20,
+  migrants: 2,
+  topology: "ring",
+};
+const ISLAND_HEADER = 14; // space for the per-island labels above the wall
+
+// Target painting on the BEST grid: value being painted, or null when idle
+const BEST_X = 10;
+const BEST_Y = 20;
+let paintValue = null;
+
+// Right column view: "wall" of thumbnails or "heatmap" of per-cell consensus
+const VIEW_MODES = ["wall", "heatmap"];
+let viewMode = "wall";
+let heatmapTint = true; // color consensus cells by agreement with target
+
+// Wall options: order, fitness coloring and elite highlight (keys o / f / e)
+let wallSort = "index"; // "index" (array order) or "fitness"
+let wallColorByFitness = false;
+let wallShowElites = false;
 
 // Population grid display settings
 const popGridCols = 5;
 const popGridRows = 15;
-const popPixelSize = 10; // smaller pixels for population view
+let popPixelSize = MAX_POP_PIXEL_SIZE; // smaller pixels for population view
 const popGapX = 15; // horizontal gap between grids
 const popGapY = 5; // vertical gap between grids
 
+// Replay of recorded generations: scrub with the timeline or , and .,
+// p plays back, [ and ] change speed. Evolution pauses while replaying, and the
+// wall and heatmap keep showing the latest population
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 5, 20, 100]; // generations per frame
+let replay = null; // { position, playing }, null while following the live run
+let replaySpeed = 1;
+
 // Wave effect state
 let waveActive = false;
 let waveIndex = 0;
@@ -79,98 +117,399 @@ let waveFrameCount = 0;
 const waveSpeed = 2; // frames between each grid turning green
 
 function buildTargetGrid() {
-  // Calculate dimensions
-  let maxLettersPerRow = 0;
-  for (const line of layout) {
-    maxLettersPerRow = max(maxLettersPerRow, line.length);
+  if (sourceImage) {
+    setTarget(imageToGeneGrid(sourceImage, imageSettings, geneType));
+    return;
+  }
+  if (loadedImageGrid) {
+    setTarget(loadedImageGrid);
+    return;
   }
 
-  targetCols = maxLettersPerRow * 3 + (maxLettersPerRow - 1) * letterSpacing;
-  targetRows = layout.length * 5 + (layout.length - 1) * rowSpacing;
-
-  // Initialize with zeros
-  target = [];
-  for (let r = 0; r < targetRows; r++) {
-    target[r] = [];
-    for (let c = 0; c < targetCols; c++) {
-      target[r][c] = 0;
-    }
+  const missing = unsupportedChars(layout);
+  if (missing.length > 0) {
+    console.warn(`No glyph for: ${missing.join(" ")}`);
   }
 
-  // Fill in the letters
-  let yOffset = 0;
-  let onesCount = 0;
-  for (const line of layout) {
-    for (let row = 0; row < 5; row++) {
-      let xOffset = 0;
-      for (const char of line) {
-        const letter = FONT[char];
-        if (letter) {
-          for (let col = 0; col < letter[row].length; col++) {
-            if (letter[row][col] === 1) {
-              target[yOffset + row][xOffset + col] = 1;
-              onesCount++;
-            }
-          }
-        }
-        xOffset += 3 + letterSpacing;
-      }
+  let result = buildTextGrid(layout, textLayout);
+  result.grid = result.grid.map((row) =>
+    row.map((bit) => geneType.fromBit(bit))
+  );
+  setTarget(result);
+}
+
+function setTarget(result) {
+  target = result.grid;
+  targetRows = result.rows;
+  targetCols = result.cols;
+  targetDensity = result.density;
+}
+
+// Canvas is the chosen frame, or just big enough for the content
+function canvasSize() {
+  let frame = FRAMES[frameName];
+  fitPixelSizes(frame);
+  return frame ? [frame.w, frame.h] : contentSize();
+}
+
+// Largest cell sizes (up to the defaults) at which the content fits the frame
+function fitPixelSizes(frame) {
+  let maxPixelSize = maxCellSize(MAX_PIXEL_SIZE, IMAGE_GRID_SIZE);
+  let maxPopPixelSize = maxCellSize(MAX_POP_PIXEL_SIZE, IMAGE_POP_GRID_SIZE);
+  pixelSize = maxPixelSize;
+  popPixelSize = maxPopPixelSize;
+  if (!frame) return;
+
+  const fits = () => {
+    let [w, h] = contentSize();
+    return w <= frame.w && h <= frame.h;
+  };
+  // Shrink both together, then give the BEST grid whatever room is left
+  while (!fits() && pixelSize > 1) {
+    pixelSize--;
+    popPixelSize = max(1, round((pixelSize * maxPopPixelSize) / maxPixelSize));
+  }
+  while (pixelSize < maxPixelSize) {
+    pixelSize++;
+    if (!fits()) {
+      pixelSize--;
+      break;
     }
-    yOffset += 5 + rowSpacing;
   }
-
-  // Calculate target density (for smarter initialization)
-  targetDensity = onesCount / (targetRows * targetCols);
 }
 
-function setup() {
-  frameRate(30);
-  buildTargetGrid();
+// Cell size for a grid: the default for text, and for image targets, which
+// have far more cells, small enough that the grid's longest side fits gridSize
+function maxCellSize(defaultSize, gridSize) {
+  if (!isImageTarget()) return defaultSize;
+  let cells = max(targetCols, targetRows);
+  return constrain(floor(gridSize / cells), 1, defaultSize);
+}
 
-  // Calculate canvas size
+// Space for the BEST column and history chart on the left
+// and the population wall on the right
+function contentSize() {
   let bestGridWidth = targetCols * pixelSize;
   let bestGridHeight = targetRows * pixelSize;
 
   // Population grid dimensions
   let popItemWidth = targetCols * popPixelSize;
   let popItemHeight = targetRows * popPixelSize;
-  let popTotalWidth = popGridCols * popItemWidth + (popGridCols - 1) * popGapX;
+  let wallCols = max(popGridCols, islandOptions.islands);
+  let popTotalWidth = wallCols * popItemWidth + (wallCols - 1) * popGapX;
   let popTotalHeight =
-    popGridRows * popItemHeight + (popGridRows - 1) * popGapY;
+    popGridRows * popItemHeight + (popGridRows - 1) * popGapY + ISLAND_HEADER;
+
+  let canvasWidth = bestGridWidth + CHART_WIDTH + popTotalWidth + 110;
+  let canvasHeight = max(bestGridHeight + 265, popTotalHeight + 60);
+
+  return [canvasWidth, canvasHeight];
+}
+
+// Start a fresh run, or continue a saved one (see loadRun)
+function resetPopulation(saved = null) {
+  updateEngineView();
+  if (saved) {
+    engine.resume(saved);
+  } else {
+    engine.start({
+      target,
+      density: targetDensity,
+      mutationRate,
+      popmax,
+      geneType: { kind: geneMode, palette },
+      options: { ...gaOptions, ...islandOptions },
+      seed: fixedSeed !== null ? fixedSeed : floor(random(4294967296)),
+    });
+  }
+  replay = null;
+  waveActive = false;
+  waveIndex = 0;
+  waveFrameCount = 0;
+  loop();
+}
+
+// Rebuild the target from typed text, resize the canvas and restart evolution
+function applyLayout(text) {
+  let lines = parseLayout(text);
+  if (lines.length === 0) return;
+
+  layout = lines;
+  sourceImage = null;
+  loadedImageGrid = null;
+  rebuildTarget();
+}
+
+// Switch how cells are encoded; the target is rebuilt in the new encoding
+function setGeneMode(mode) {
+  geneMode = mode;
+  geneType = new GeneType(geneMode, palette);
+  rebuildTarget();
+}
+
+// Derive the target from an image instead of the font
+function applyImage(img) {
+  sourceImage = img;
+  loadedImageGrid = null;
+  rebuildTarget();
+}
+
+function isImageTarget() {
+  return sourceImage !== null || loadedImageGrid !== null;
+}
+
+function rebuildTarget() {
+  buildTargetGrid();
+  resizeCanvas(...canvasSize());
+  positionInputs();
+  resetPopulation();
+}
+
+function handleFile(file) {
+  if (file.type === "image") {
+    loadImage(file.data, applyImage, imageFailed);
+  } else if (file.subtype === "json") {
+    loadRun(file.data);
+  } else {
+    console.warn(`Not an image or a genuary5 run file: ${file.name}`);
+  }
+}
+
+// The current target stays when an image can't be loaded
+function imageFailed() {
+  console.warn("Could not load the image, keeping the current target");
+}
+
+// Download the run (target, settings, every individual, RNG state) as JSON
+function saveRun() {
+  engine.save((run) => {
+    let saved = {
+      version: RUN_FILE_VERSION,
+      text: layout.join(LINE_SEPARATOR),
+      textLayout,
+      image: isImageTarget(),
+      imageSettings,
+      run,
+    };
+    saveJSON(
+      saved,
+      `genuary5-seed${run.seed}-gen${run.evolver.generations}.json`
+    );
+  });
+}
+
+// Restore the settings and target of a saved run, then continue it where it stopped.
+// Image targets come back as their saved grid (the image itself is not stored),
+// which stays the target until new text or an image is chosen
+function loadRun(saved) {
+  if (!saved || saved.version !== RUN_FILE_VERSION || !saved.run) {
+    console.warn("Not a genuary5 run file");
+    return;
+  }
+  let run = saved.run;
+
+  layout = parseLayout(saved.text);
+  textInput.value(saved.text);
+  Object.assign(textLayout, saved.textLayout);
+  Object.assign(imageSettings, saved.imageSettings);
+  sourceImage = null;
+
+  geneMode = run.geneType.kind;
+  palette = run.geneType.palette;
+  geneType = new GeneType(geneMode, palette);
+  mutationRate = run.mutationRate;
+  popmax = run.popmax;
+  for (const key in gaOptions) gaOptions[key] = run.options[key];
+  for (const key in islandOptions) {
+    if (run.options[key] !== undefined) islandOptions[key] = run.options[key];
+  }
+
+  let loaded = {
+    grid: run.target,
+    rows: run.target.length,
+    cols: run.target[0].length,
+    density: run.density,
+  };
+  loadedImageGrid = saved.image ? loaded : null;
+  setTarget(loaded);
+  resizeCanvas(...canvasSize());
+  positionInputs();
+  resetPopulation(run);
+}
+
+// Text box and image picker under the stats; separate lines with "|"
+function setupInputs() {
+  textInput = createInput(layout.join(LINE_SEPARATOR));
+  textInput.attribute(
+    "placeholder",
+    `Text (use ${LINE_SEPARATOR} for new line)`
+  );
+  textInput.size(180);
+  textInput.changed(() => applyLayout(textInput.value()));
+
+  fileInput = createFileInput(handleFile);
+  fileInput.attribute("accept", "image/*,.json");
+
+  speedSelect = createSelect();
+  for (const option of GENS_PER_FRAME) {
+    speedSelect.option(`${option} gen/frame`, option);
+  }
+  speedSelect.selected(String(gensPerFrame));
+  speedSelect.changed(() => {
+    let value = speedSelect.value();
+    gensPerFrame = value === "max" ? value : int(value);
+  });
+
+  timeline = createSlider(0, 0, 0, 1);
+  timeline.input(() => scrubTo(timeline.value()));
+  positionInputs();
+}
+
+function positionInputs() {
+  textInput.position(10, targetRows * pixelSize + 150);
+  fileInput.position(10, targetRows * pixelSize + 175);
+  speedSelect.position(10, targetRows * pixelSize + 200);
+  timeline.position(10, targetRows * pixelSize + 225);
+  timeline.size(max(targetCols * pixelSize, 180));
+}
+
+// What the engine should include in its snapshots for the current display
+function updateEngineView() {
+  engine.view = {
+    sort: wallSort,
+    wallSize: popGridCols * popGridRows,
+    wallCols: popGridCols,
+    islandSize: popGridRows,
+    consensus: viewMode === "heatmap",
+  };
+}
 
-  let canvasWidth = bestGridWidth + popTotalWidth + 80;
-  let canvasHeight = max(bestGridHeight + 120, popTotalHeight + 60);
+function setup() {
+  frameRate(30);
+
+  // Target text can be given as ?text=HELLO|WORLD
+  let params = getURLParams();
+  if (params.text) {
+    let lines = parseLayout(decodeURIComponent(params.text));
+    if (lines.length > 0) layout = lines;
+  }
+
+  if (params.align) textLayout.align = params.align.split(",");
+  textLayout.proportional = params.proportional === "1";
+  textLayout.kerning = params.kerning === "1";
+  textLayout.border = params.border === "1";
+  if (params.padding) textLayout.padding = int(params.padding);
+  if (params.spacing) textLayout.letterSpacing = int(params.spacing);
+  if (params.leading) textLayout.rowSpacing = int(params.leading);
+  if (Object.keys(FRAMES).includes(params.frame)) frameName = params.frame;
+
+  // ...or from an image as ?img=path&cols=40&dither=1
+  if (params.cols) imageSettings.cols = int(params.cols);
+  if (params.rows) imageSettings.rows = int(params.rows);
+  if (params.threshold) imageSettings.threshold = float(params.threshold);
+  imageSettings.dither = params.dither === "1";
+  imageSettings.invert = params.invert === "1";
+
+  if (params.palette) palette = params.palette.split(",");
+  if (GENE_MODES.includes(params.genes)) geneMode = params.genes;
+  geneType = new GeneType(geneMode, palette);
+  if (SELECTION[params.selection]) gaOptions.selection = params.selection;
+  if (FITNESS[params.fitness]) gaOptions.fitness = params.fitness;
+  if (CROSSOVER[params.crossover]) gaOptions.crossover = params.crossover;
+  if (MUTATION[params.mutation]) gaOptions.mutation = params.mutation;
+  gaOptions.adaptiveMutation = params.adaptive === "1";
+  if (params.elitism) gaOptions.elitism = float(params.elitism);
+
+  if (params.islands) islandOptions.islands = int(params.islands);
+  if (params.migration) islandOptions.migrationInterval = int(params.migration);
+  if (params.migrants) islandOptions.migrants = int(params.migrants);
+  if (TOPOLOGIES.includes(params.topology)) {
+    islandOptions.topology = params.topology;
+  }
+
+  if (params.seed) fixedSeed = int(params.seed);
+  if (params.speed) {
+    gensPerFrame = params.speed === "max" ? "max" : int(params.speed);
+  }
+
+  buildTargetGrid();
+
+  let cnv = createCanvas(...canvasSize());
+  cnv.drop(handleFile);
+  setupInputs();
 
-  createCanvas(canvasWidth, canvasHeight);
+  engine = createEngine((fallback) => {
+    engine = fallback;
+    resetPopulation();
+  });
+  resetPopulation();
 
-  population = new Population(target, mutationRate, popmax, targetDensity);
+  if (params.img) {
+    loadImage(decodeURIComponent(params.img), applyImage, imageFailed);
+  }
 }
 
 function draw() {
   background(30);
 
-  // Only evolve if not finished
-  if (!population.isFinished()) {
-    population.naturalSelection();
-    population.generate();
-    population.calcFitness();
-    population.evaluate();
+  // Ask for more generations once the previous batch has arrived
+  // (not if finished or while replaying)
+  updateEngineView();
+  let snapshot = engine.snapshot;
+  if (snapshot && !snapshot.finished && !replay && engine.isIdle()) {
+    engine.send({ type: "step", generations: gensPerFrame });
+    snapshot = engine.snapshot;
   }
 
+  // Nothing to draw until the worker answers for this run
+  if (!snapshot) return;
+
+  // Playback runs to the end of the recording, then follows the live run again
+  // (which replays the finale if the run is solved)
+  let lastGen = snapshot.generations;
+  if (replay && replay.playing) {
+    replay.position += replaySpeed;
+    if (replay.position >= lastGen) replay = null;
+  }
+  let generation = replay ? floor(replay.position) : lastGen;
+  let atEnd = generation === lastGen;
+
+  timeline.attribute("min", engine.firstRecorded);
+  timeline.attribute("max", lastGen);
+  timeline.value(generation);
+
   let bestGridWidth = targetCols * pixelSize;
   let bestGridHeight = targetRows * pixelSize;
 
   // LEFT COLUMN: Best individual
   push();
-  translate(10, 20);
+  translate(BEST_X, BEST_Y);
   fill(255);
   noStroke();
   textSize(12);
-  text("BEST", 0, -8);
-  let bestGrid = population.getBest();
-  drawGrid(bestGrid, pixelSize, color(0, 200, 100));
+  text(replay ? "BEST (REPLAY)" : "BEST", 0, -8);
+  let bestGrid = atEnd ? snapshot.best : engine.bests[generation];
+  drawGrid(bestGrid, pixelSize, color(0, 200, 100), geneType);
+  // Show the target while it is being edited
+  if (paintValue !== null || cellUnderMouse()) {
+    drawTargetOutline(pixelSize);
+  }
   pop();
 
+  // History chart beside best
+  let chartX = bestGridWidth + 30;
+  fill(255);
+  noStroke();
+  textSize(12);
+  text("HISTORY", chartX, 12);
+  drawHistoryChart(
+    atEnd ? engine.history : engine.history.slice(0, generation + 1),
+    chartX,
+    20,
+    CHART_WIDTH,
+    max(bestGridHeight, CHART_MIN_HEIGHT)
+  );
+
   // Stats below best
   let statsY = bestGridHeight + 40;
   fill(255);
@@ -178,40 +517,52 @@ function draw() {
   textSize(11);
   textFont("monospace");
 
-  let fitness = population.getBestFitness();
+  // Recorded stats for a replayed generation
+  let fitness = atEnd ? snapshot.bestFitness : engine.history[generation].best;
+  let average = atEnd ? snapshot.avgFitness : engine.history[generation].avg;
   let accuracy = (fitness * 100).toFixed(1);
 
-  text(`Gen: ${population.getGenerations()}`, 10, statsY);
+  if (replay) {
+    let state = replay.playing ? `play ${replaySpeed}x` : "paused";
+    text(`Gen: ${generation}/${lastGen}  Replay: ${state}`, 10, statsY);
+  } else {
+    text(`Gen: ${generation}  Seed: ${snapshot.seed}`, 10, statsY);
+  }
   text(`Acc: ${accuracy}%`, 10, statsY + 15);
+  text(`Avg: ${(average * 100).toFixed(1)}%`, 10, statsY + 30);
+  text(`Sel: ${snapshot.selection}  Fit: ${snapshot.fitness}`, 10, statsY + 45);
+  let rate = snapshot.mutationRate.toFixed(3);
   text(
-    `Avg: ${(population.getAverageFitness() * 100).toFixed(1)}%`,
+    `Ops: ${gaOptions.crossover} / ${gaOptions.mutation} @ ${rate}`,
     10,
-    statsY + 30
+    statsY + 60
   );
 
   // Fitness bar
   let barWidth = bestGridWidth;
   stroke(100);
   noFill();
-  rect(10, statsY + 40, barWidth, 10);
+  rect(10, statsY + 70, barWidth, 10);
   noStroke();
   fill(0, 200, 100);
-  rect(10, statsY + 40, barWidth * fitness, 10);
+  rect(10, statsY + 70, barWidth * fitness, 10);
 
-  // RIGHT COLUMN: Population grid (5x4 = 20 individuals)
-  let popItemWidth = targetCols * popPixelSize;
-  let popItemHeight = targetRows * popPixelSize;
-  let startX = bestGridWidth + 40;
+  // RIGHT COLUMN: Population grid (5x15 individuals) or consensus heatmap
+  let startX = chartX + CHART_WIDTH + 40;
   let startY = 20;
 
   fill(255);
   noStroke();
   textSize(12);
-  text("POPULATION", startX, startY - 8);
+  let title = viewMode === "heatmap" ? "CONSENSUS" : "POPULATION";
+  if (snapshot.islands) {
+    title += ` - ISLANDS (${islandOptions.topology}, every ${islandOptions.migrationInterval})`;
+  }
+  text(title, startX, startY - 8);
 
-  let individuals = population.getPopulation();
-  let dispalyCount = individuals.length;
-  let displayCount = min(popGridCols * popGridRows, individuals.length);
+  // Islands get one column each, with a header row above the thumbnails
+  let slots = snapshot.wall;
+  let displayCount = slots.length;
 
   // Update wave effect
   if (waveActive && waveIndex < displayCount) {
@@ -222,9 +573,52 @@ function draw() {
     }
   }
 
-  for (let i = 0; i < displayCount; i++) {
-    let col = i % popGridCols;
-    let row = floor(i / popGridCols);
+  if (viewMode === "heatmap") {
+    drawConsensus(snapshot.consensus, startX, startY);
+  } else {
+    let wallY = startY;
+    if (snapshot.islands) {
+      drawIslandHeaders(snapshot.islands, startX, startY + 4);
+      wallY += ISLAND_HEADER;
+    }
+    drawPopulationWall(slots, snapshot.wallCols, bestGrid, startX, wallY);
+    drawWallTooltip(slots, snapshot.wallCols, startX, wallY);
+  }
+
+  // Start wave effect when finished (again whenever a replay reaches the end)
+  if (!atEnd) {
+    waveActive = false;
+  } else if (snapshot.finished && !waveActive) {
+    waveActive = true;
+    waveIndex = 0;
+    waveFrameCount = 0;
+  }
+
+  // Show message and stop when wave is complete
+  if (waveActive && waveIndex >= displayCount) {
+    fill(0, 255, 100);
+    textSize(16);
+    text("HAPPY GENUARY!", 10, statsY + 100);
+    noLoop();
+  }
+}
+
+// Thumbnails of individuals, turning into the best grid during the wave.
+// slots (see runner.js) are laid out row by row, `cols` wide, null for a gap
+function drawPopulationWall(slots, cols, bestGrid, startX, startY) {
+  let popItemWidth = targetCols * popPixelSize;
+  let popItemHeight = targetRows * popPixelSize;
+
+  // Spread of scores for fitness coloring
+  let scores = slots.filter((slot) => slot).map((slot) => slot.score);
+  let low = min(scores);
+  let high = max(scores);
+
+  for (let i = 0; i < slots.length; i++) {
+    let slot = slots[i];
+    if (!slot) continue;
+    let col = i % cols;
+    let row = floor(i / cols);
     let x = startX + col * (popItemWidth + popGapX);
     let y = startY + row * (popItemHeight + popGapY);
 
@@ -241,34 +635,127 @@ function draw() {
       gridColor = color(0, 200, 100);
     } else {
       // Not yet turned: show individual's grid in blue
-      gridToShow = individuals[i].getGrid();
+      gridToShow = slot.genes;
       gridColor = color(100, 150, 255);
+      if (wallColorByFitness) {
+        let t = high > low ? (slot.score - low) / (high - low) : 1;
+        gridColor = lerpColor(color(255, 80, 80), color(0, 200, 100), t);
+      }
     }
 
-    drawGrid(gridToShow, popPixelSize, gridColor);
+    drawGrid(gridToShow, popPixelSize, gridColor, geneType);
+
+    // Palette/gray thumbnails keep their colors, so fitness goes on a frame
+    noFill();
+    strokeWeight(1);
+    if (wallColorByFitness && !geneType.isBinary()) {
+      stroke(gridColor);
+      rect(-2, -2, popItemWidth + 2, popItemHeight + 2);
+    }
+    if (wallShowElites && slot.elite) {
+      stroke(255, 200, 0);
+      rect(-4, -4, popItemWidth + 6, popItemHeight + 6);
+    }
     pop();
   }
+}
 
-  // Start wave effect when finished
-  if (population.isFinished() && !waveActive) {
-    waveActive = true;
-    waveIndex = 0;
-    waveFrameCount = 0;
+// Island number and current diversity above each island column
+function drawIslandHeaders(islands, startX, startY) {
+  let itemWidth = targetCols * popPixelSize + popGapX;
+  fill(180);
+  noStroke();
+  textSize(10);
+  islands.forEach((island, i) => {
+    text(
+      `I${i + 1}  div ${island.diversity.toFixed(2)}`,
+      startX + i * itemWidth,
+      startY
+    );
+  });
+}
+
+// Raw fitness and parentage of the thumbnail under the mouse
+function drawWallTooltip(slots, cols, startX, startY) {
+  let itemWidth = targetCols * popPixelSize + popGapX;
+  let itemHeight = targetRows * popPixelSize + popGapY;
+  let col = floor((mouseX - startX) / itemWidth);
+  let row = floor((mouseY - startY) / itemHeight);
+  let i = row * cols + col;
+  if (col < 0 || col >= cols || row < 0 || i >= slots.length || !slots[i]) {
+    return;
   }
 
-  // Show message and stop when wave is complete
-  if (waveActive && waveIndex >= displayCount) {
-    fill(0, 255, 100);
-    textSize(16);
-    text("HAPPY GENUARY!", 10, statsY + 70);
-    noLoop();
+  let slot = slots[i];
+  let origin = "initial population";
+  if (slot.elite) {
+    origin = `elite, was #${slot.parents[0]}`;
+  } else if (slot.migrantFrom !== null && slot.migrantFrom !== undefined) {
+    origin = `migrant from I${slot.migrantFrom + 1} #${slot.parents[0]}`;
+  } else if (slot.parents) {
+    origin = `parents #${slot.parents[0]} x #${slot.parents[1]}`;
   }
+  let lines = [`${slot.label}  ${(slot.score * 100).toFixed(1)}%`, origin];
+
+  push();
+  textSize(11);
+  let w = max(lines.map((l) => textWidth(l))) + 12;
+  let x = min(mouseX + 12, width - w - 4);
+  let y = mouseY + 12;
+  fill(0, 220);
+  noStroke();
+  rect(x, y, w, 38, 3);
+  fill(255);
+  text(lines[0], x + 6, y + 15);
+  fill(180);
+  text(lines[1], x + 6, y + 30);
+  pop();
 }
 
-function drawGrid(grid, size, onColor) {
+// One large grid where brightness is the share of the population with each cell set;
+// tinted green where the majority agrees with the target, red where it does not
+function drawConsensus(consensus, startX, startY) {
+  // The next snapshot after switching views brings the grid
+  if (!consensus) return;
+
+  let popItemWidth = targetCols * popPixelSize;
+  let popItemHeight = targetRows * popPixelSize;
+  let areaWidth = popGridCols * popItemWidth + (popGridCols - 1) * popGapX;
+  let areaHeight = height - startY - 20;
+  let size = max(
+    popPixelSize,
+    floor(min(areaWidth / targetCols, areaHeight / targetRows))
+  );
+
+  let tolerance = max(0.05, 0.5 / (geneType.levels - 1));
+
+  push();
+  translate(startX, startY);
+  noStroke();
+  for (let r = 0; r < targetRows; r++) {
+    for (let c = 0; c < targetCols; c++) {
+      let f = consensus[r][c];
+      if (heatmapTint) {
+        let targetValue = target[r][c] / (geneType.levels - 1);
+        let matches = abs(f - targetValue) < tolerance;
+        let tintColor = matches ? [0, 200, 100] : [255, 80, 80];
+        fill(tintColor.map((v) => 40 + (v - 40) * f));
+      } else {
+        fill(40 + 215 * f);
+      }
+      rect(c * size, r * size, size - 1, size - 1);
+    }
+  }
+  pop();
+}
+
+// Binary grids use onColor for 1s, other gene types draw their own colors
+function drawGrid(grid, size, onColor, type = BINARY_GENES) {
   for (let r = 0; r < grid.length; r++) {
     for (let c = 0; c < grid[r].length; c++) {
-      if (grid[r][c] === 1) {
+      if (!type.isBinary()) {
+        fill(type.colorOf(grid[r][c]));
+      } else if (grid[r][c] === 1) {
         fill(onColor);
       } else {
         fill(40);
@@ -279,8 +766,81 @@ function drawGrid(grid, size, onColor) {
   }
 }
 
+// Outline the target's ink cells on top of the grid at the current origin
+function drawTargetOutline(size) {
+  noFill();
+  stroke(255, 180);
+  strokeWeight(1);
+  for (let r = 0; r < targetRows; r++) {
+    for (let c = 0; c < targetCols; c++) {
+      if (target[r][c] !== 0) {
+        rect(c * size, r * size, size - 1, size - 1);
+      }
+    }
+  }
+  noStroke();
+}
+
+// Target cell [row, col] under the mouse on the BEST grid, or null
+function cellUnderMouse() {
+  let c = floor((mouseX - BEST_X) / pixelSize);
+  let r = floor((mouseY - BEST_Y) / pixelSize);
+  if (r < 0 || r >= targetRows || c < 0 || c >= targetCols) return null;
+  return [r, c];
+}
+
+// Paint or erase one target cell and let the population chase the new target
+function paintTarget() {
+  let cell = cellUnderMouse();
+  if (!cell) return;
+
+  let [r, c] = cell;
+  if (target[r][c] === paintValue) return;
+  target[r][c] = paintValue;
+
+  let inkCount = 0;
+  for (const row of target) {
+    for (const v of row) {
+      if (v !== 0) inkCount++;
+    }
+  }
+  targetDensity = inkCount / (targetRows * targetCols);
+  engine.send({ type: "setTarget", target, density: targetDensity });
+
+  // A solved run starts evolving again
+  if (waveActive) {
+    waveActive = false;
+    waveIndex = 0;
+    waveFrameCount = 0;
+    loop();
+  }
+}
+
+// Click an empty target cell to paint, a filled one to erase, then drag
+function mousePressed() {
+  let cell = cellUnderMouse();
+  if (!cell) return;
+
+  let [r, c] = cell;
+  paintValue = target[r][c] === 0 ? geneType.fromBit(1) : 0;
+  paintTarget();
+}
+
+function mouseDragged() {
+  if (paintValue !== null) {
+    paintTarget();
+  }
+}
+
+function mouseReleased() {
+  paintValue = null;
+}
+
 // Keyboard controls
 function keyPressed() {
+  // Let the text box receive its own keystrokes
+  if (document.activeElement === textInput.elt) return;
+
   if (key === " ") {
     // Toggle pause/play
     if (isLooping()) {
@@ -291,10 +851,126 @@ function keyPressed() {
   }
   if (key === "r" || key === "R") {
     // Reset
-    population = new Population(target, mutationRate, popmax, targetDensity);
-    waveActive = false;
-    waveIndex = 0;
-    waveFrameCount = 0;
-    loop();
+    resetPopulation();
   }
+  if (engine.snapshot && (key === "," || key === ".")) {
+    // Step one recorded generation back or forward
+    let current = replay ? floor(replay.position) : engine.snapshot.generations;
+    scrubTo(current + (key === "," ? -1 : 1));
+  }
+  if ((key === "p" || key === "P") && engine.snapshot) {
+    // Play the recording back from the start, or pause/resume playback
+    if (replay) {
+      replay.playing = !replay.playing;
+    } else {
+      scrubTo(engine.firstRecorded, true);
+    }
+  }
+  if (key === "[" || key === "]") {
+    // Slower or faster playback
+    let i = REPLAY_SPEEDS.indexOf(replaySpeed) + (key === "[" ? -1 : 1);
+    replaySpeed = REPLAY_SPEEDS[constrain(i, 0, REPLAY_SPEEDS.length - 1)];
+  }
+  if (key === "x" || key === "X") {
+    // Export the run to resume later (load it with the file picker or by dropping it)
+    saveRun();
+  }
+  if (key === "v" || key === "V") {
+    // Switch between thumbnail wall and consensus heatmap
+    viewMode = nextName(VIEW_MODES, viewMode);
+  }
+  if (key === "t" || key === "T") {
+    // Toggle target tint on the heatmap
+    heatmapTint = !heatmapTint;
+  }
+  if (key === "o" || key === "O") {
+    // Order the wall by fitness or by array position
+    wallSort = wallSort === "index" ? "fitness" : "index";
+  }
+  if (key === "f" || key === "F") {
+    // Color thumbnails from worst (red) to best (green)
+    wallColorByFitness = !wallColorByFitness;
+  }
+  if (key === "e" || key === "E") {
+    // Outline elites carried over from the last generation
+    wallShowElites = !wallShowElites;
+  }
+  if (key === "l" || key === "L") {
+    // Toggle between one population and 4 islands, then restart
+    islandOptions.islands = islandOptions.islands > 1 ? 1 : 4;
+    resizeCanvas(...canvasSize());
+    positionInputs();
+    resetPopulation();
+  }
+  if ((key === "k" || key === "K") && islandOptions.islands > 1) {
+    // Cycle migration topology without restarting
+    islandOptions.topology = nextName(TOPOLOGIES, islandOptions.topology);
+    engine.send({ type: "setTopology", name: islandOptions.topology });
+  }
+  if (key === "s" || key === "S") {
+    // Cycle selection strategy without restarting the run
+    gaOptions.selection = nextName(SELECTION_NAMES, gaOptions.selection);
+    engine.send({ type: "setSelection", name: gaOptions.selection });
+  }
+  if (key === "n" || key === "N") {
+    // Cycle fitness objective without restarting the run
+    gaOptions.fitness = nextName(FITNESS_NAMES, gaOptions.fitness);
+    engine.send({ type: "setFitness", name: gaOptions.fitness });
+  }
+  if (key === "c" || key === "C") {
+    // Cycle crossover operator and restart
+    gaOptions.crossover = nextName(CROSSOVER_NAMES, gaOptions.crossover);
+    resetPopulation();
+  }
+  if (key === "m" || key === "M") {
+    // Cycle mutation operator and restart
+    gaOptions.mutation = nextName(MUTATION_NAMES, gaOptions.mutation);
+    resetPopulation();
+  }
+  if (key === "a" || key === "A") {
+    // Toggle adaptive mutation rate and restart
+    gaOptions.adaptiveMutation = !gaOptions.adaptiveMutation;
+    resetPopulation();
+  }
+  if (!isImageTarget() && (key === "j" || key === "J")) {
+    // Cycle left -> center -> right alignment, each line from its own
+    let align = textLayout.align;
+    textLayout.align = Array.isArray(align)
+      ? align.map((current) => nextName(ALIGNMENTS, current))
+      : nextName(ALIGNMENTS, align);
+    rebuildTarget();
+  }
+  if (key === "b" || key === "B") {
+    // Cycle auto-sized canvas -> square -> portrait frame
+    frameName = nextName(Object.keys(FRAMES), frameName);
+    resizeCanvas(...canvasSize());
+    positionInputs();
+  }
+  if (!loadedImageGrid && (key === "g" || key === "G")) {
+    // Cycle binary -> palette -> gray genes (a loaded image grid can't be re-encoded)
+    let next = (GENE_MODES.indexOf(geneMode) + 1) % GENE_MODES.length;
+    setGeneMode(GENE_MODES[next]);
+  }
+  if (sourceImage && (key === "d" || key === "D")) {
+    // Toggle dithering of the image target
+    imageSettings.dither = !imageSettings.dither;
+    rebuildTarget();
+  }
+  if (sourceImage && (key === "i" || key === "I")) {
+    // Swap which side of the threshold counts as ink
+    imageSettings.invert = !imageSettings.invert;
+    rebuildTarget();
+  }
+}
+
+// Show a recorded generation, pausing evolution; the last one is the live run
+function scrubTo(position, playing = false) {
+  let lastGen = engine.snapshot.generations;
+  position = constrain(position, engine.firstRecorded, lastGen);
+  replay = position < lastGen ? { position, playing } : null;
+  loop();
+}
+
+function nextName(names, current) {
+  return names[(names.indexOf(current) + 1) % names.length];
 }
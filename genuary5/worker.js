@@ -0,0 +1,21 @@
+// Evolution Worker - Runs the GA off the main thread so it is not capped by frame rate
+// The p5 math helpers the GA code relies on are provided by rng.js, drawing from the runner's seeded stream
+
+importScripts(
+  "rng.js",
+  "genes.js",
+  "selection.js",
+  "operators.js",
+  "fitness.js",
+  "DNA.js",
+  "population.js",
+  "islands.js",
+  "runner.js"
+);
+
+const runner = new EvolutionRunner();
+installP5Math(self, runner.rng);
+
+onmessage = (event) => {
+  postMessage(runner.handle(event.data));
+};
@@ -0,0 +1,102 @@
+// Instant Film - How a photo develops out of the blank blue-gray print
+// A film type is a set of curves; a photo is rendered at evenly spaced moments of
+// development, each the first time it is needed (stageImage), and polaroids draw
+// whichever stage each cell has reached
+
+const DEVELOP_STAGES = 16; // stages rendered per photo, blank to fully developed
+
+const FILM_TYPES = {
+  // Polaroid color: cools to warm as the red layer catches up last
+  color: {
+    seconds: 2.5, // development time of one cell
+    base: [106, 120, 140], // blank print color
+    tint: [1.05, 1.0, 0.9], // final color cast
+    contrast: 0.95,
+    saturation: 0.9,
+    saturationDelay: 2, // saturation rises as development ^ this
+    highlightLag: 0.35, // share of the clock the brightest pixels wait
+    channelLag: [0.12, 0.05, 0], // extra wait per channel (r, g, b)
+  },
+  bw: {
+    seconds: 2,
+    base: [128, 130, 133],
+    tint: [1, 1, 1],
+    contrast: 1.15,
+    saturation: 0,
+    saturationDelay: 1,
+    highlightLag: 0.3,
+    channelLag: [0, 0, 0],
+  },
+  // Spectra: punchier, passing through magenta while the green layer lags
+  spectra: {
+    seconds: 3,
+    base: [104, 112, 142],
+    tint: [1.02, 0.96, 1.02],
+    contrast: 1.1,
+    saturation: 1.1,
+    saturationDelay: 1.5,
+    highlightLag: 0.4,
+    channelLag: [0.04, 0.14, 0],
+  },
+};
+
+const FILM_NAMES = Object.keys(FILM_TYPES);
+
+// The DEVELOP_STAGES stages of img at w x h, none rendered yet; stage 0 is
+// the blank print. Rendering all of them up front stalled every added photo
+function developStages(img, w, h, filmName) {
+  let source = img.get();
+  source.resize(round(w), round(h));
+  source.loadPixels();
+  return { source, film: FILM_TYPES[filmName], images: [] };
+}
+
+// One stage of developStages(), rendered the first time it is asked for
+function stageImage(stages, s) {
+  if (!stages.images[s]) {
+    let { source, film } = stages;
+    let t = s / (DEVELOP_STAGES - 1);
+    let stage = createImage(source.width, source.height);
+    stage.loadPixels();
+    for (let i = 0; i < source.width * source.height * 4; i += 4) {
+      developPixel(source.pixels, stage.pixels, i, t, film);
+    }
+    stage.updatePixels();
+    stages.images[s] = stage;
+  }
+  return stages.images[s];
+}
+
+// Stage to draw for a cell's development progress (0..1)
+function developStage(progress) {
+  return round(progress * (DEVELOP_STAGES - 1));
+}
+
+// One pixel at development time t (0..1): dark areas need the most dye and
+// come up first, highlights last; contrast grows from the flat base color
+// and saturation follows behind
+function developPixel(from, to, i, t, film) {
+  let luma =
+    (0.2126 * from[i] + 0.7152 * from[i + 1] + 0.0722 * from[i + 2]) / 255;
+
+  let developed = [];
+  for (let c = 0; c < 3; c++) {
+    let target = (from[i + c] / 255 - 0.5) * film.contrast + 0.5;
+    target = constrain(target * film.tint[c], 0, 1) * 255;
+    let wait = luma * film.highlightLag + film.channelLag[c];
+    let amount = smoothstep(constrain((t - wait) / (1 - wait), 0, 1));
+    developed[c] = lerp(film.base[c], target, amount);
+  }
+
+  let gray =
+    0.2126 * developed[0] + 0.7152 * developed[1] + 0.0722 * developed[2];
+  let saturation = film.saturation * pow(t, film.saturationDelay);
+  for (let c = 0; c < 3; c++) {
+    to[i + c] = constrain(lerp(gray, developed[c], saturation), 0, 255);
+  }
+  to[i + 3] = 255;
+}
+
+function smoothstep(x) {
+  return x * x * (3 - 2 * x);
+}
@@ -0,0 +1,64 @@
+// Polaroid Formats - Card and picture sizes of the instant films on the table
+// Sizes are in centimeters (scaled to pixels by formatSize); top is the border
+// above the picture, the rest of the height below it is the caption strip
+
+const FORMATS = {
+  square: { w: 7.2, h: 8.6, iw: 6.2, ih: 6.2, top: 0.6 }, // Instax Square
+  wide: { w: 8.8, h: 10.7, iw: 7.7, ih: 7.9, top: 0.65 }, // the original tall card
+  go: { w: 5.4, h: 6.7, iw: 4.7, ih: 4.6, top: 0.4 }, // Polaroid Go
+  itype: { w: 8.8, h: 10.7, iw: 7.9, ih: 7.9, top: 0.6 }, // Polaroid 600 / i-Type
+  landscape: { w: 10.8, h: 8.6, iw: 9.9, ih: 6.2, top: 0.5 }, // Instax Wide
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// Formats picked automatically; the others are only chosen by hand since
+// their pictures are as square as the square format's
+const AUTO_FORMATS = ["square", "wide", "landscape"];
+
+// Card size in pixels: w x h overall, iw x ih picture
+function formatSize(format, scale) {
+  let { w, h, iw, ih, top } = FORMATS[format];
+  return {
+    w: w * scale,
+    h: h * scale,
+    iw: iw * scale,
+    ih: ih * scale,
+    top: top * scale,
+  };
+}
+
+// The automatic format whose picture shape is closest to the photo's
+function formatForPhoto(photo) {
+  let aspect = photo.width / photo.height;
+  let best = AUTO_FORMATS[0];
+  for (let format of AUTO_FORMATS) {
+    let { iw, ih } = FORMATS[format];
+    let { iw: bestW, ih: bestH } = FORMATS[best];
+    if (abs(log(aspect / (iw / ih))) < abs(log(aspect / (bestW / bestH)))) {
+      best = format;
+    }
+  }
+  return best;
+}
+
+// Picture area inside a card buffer of this size
+function imageBounds(size) {
+  return {
+    left: (size.w - size.iw) / 2,
+    top: size.top,
+    w: size.iw,
+    h: size.ih,
+  };
+}
+
+// Bottom strip of a card buffer, below the picture
+function captionBounds(size) {
+  let top = size.top + size.ih;
+  return {
+    left: (size.w - size.iw) / 2,
+    top: top,
+    w: size.iw,
+    h: size.h - top,
+  };
+}
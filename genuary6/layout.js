@@ -0,0 +1,114 @@
+// Layouts - Saving an arrangement of polaroids and opening it again exactly
+// A layout lists the cards bottom to top (their stacking order) by photo name, with
+// format, position, rotation, reveal mode, film, focal point and caption. Only the reveal
+// mode is kept, not how far a photo has developed: that only lasts while the card is
+// hovered, so every card comes back blank. Photos are not stored either: the bundled
+// paintings come back by themselves, dropped photos take their saved place when a
+// file with the same name is added again
+
+const LAYOUT_VERSION = 1;
+const LAYOUT_STORAGE_KEY = "genuary6-layout";
+const LAYOUT_HASH_PREFIX = "#layout=";
+
+function layoutOf(polaroids) {
+  return {
+    version: LAYOUT_VERSION,
+    cards: polaroids.map((polaroid) => ({
+      name: polaroid.name,
+      format: polaroid.format,
+      x: polaroid.x,
+      y: polaroid.y,
+      rotation: polaroid.rotation,
+      reveal: polaroid.revealMode,
+      film: polaroid.film,
+      focus: polaroid.focus,
+      caption: polaroid.caption,
+    })),
+  };
+}
+
+// null unless it is a layout this version can open
+function checkLayout(layout) {
+  if (!layout || layout.version !== LAYOUT_VERSION || !layout.cards) {
+    console.warn("Not a genuary6 layout");
+    return null;
+  }
+  return layout;
+}
+
+function saveLayoutLocally(layout) {
+  localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layout));
+}
+
+function loadLayoutLocally() {
+  let saved = localStorage.getItem(LAYOUT_STORAGE_KEY);
+  if (!saved) return null;
+  try {
+    return checkLayout(JSON.parse(saved));
+  } catch (error) {
+    console.warn("Not a genuary6 layout");
+    return null;
+  }
+}
+
+// Compact URL hash: #layout=version;card;card... where a card is name,x,y,
+// rotation (tenths of a degree),reveal,film,focus x,focus y (percent),caption,format
+// with reveal, film and format as their index in REVEAL_MODE_NAMES, FILM_NAMES
+// and FORMAT_NAMES
+function encodeLayoutHash(layout) {
+  let cards = layout.cards.map((card) =>
+    [
+      encodeURIComponent(card.name),
+      round(card.x),
+      round(card.y),
+      round(degrees(card.rotation) * 10),
+      REVEAL_MODE_NAMES.indexOf(card.reveal),
+      FILM_NAMES.indexOf(card.film),
+      round(card.focus.x * 100),
+      round(card.focus.y * 100),
+      encodeURIComponent(card.caption),
+      FORMAT_NAMES.indexOf(card.format),
+    ].join(",")
+  );
+  return LAYOUT_HASH_PREFIX + [layout.version, ...cards].join(";");
+}
+
+// The layout in a URL hash, or null when there is none or it can't be read.
+// Cards without a position, rotation or focus (a truncated hash) are dropped
+function decodeLayoutHash(hash) {
+  if (!hash.startsWith(LAYOUT_HASH_PREFIX)) return null;
+  let [header, ...cards] = hash.slice(LAYOUT_HASH_PREFIX.length).split(";");
+  try {
+    return checkLayout({
+      version: Number(header),
+      cards: cards
+        .filter(Boolean)
+        .map(decodeLayoutCard)
+        .filter((card) =>
+          [card.x, card.y, card.rotation, card.focus.x, card.focus.y].every(
+            Number.isFinite
+          )
+        ),
+    });
+  } catch (error) {
+    // decodeURIComponent throws on a malformed name or caption
+    console.warn("Not a genuary6 layout");
+    return null;
+  }
+}
+
+function decodeLayoutCard(card) {
+  let [name, x, y, rotation, reveal, film, focusX, focusY, caption, format] =
+    card.split(",");
+  return {
+    name: decodeURIComponent(name),
+    x: Number(x),
+    y: Number(y),
+    rotation: radians(Number(rotation) / 10),
+    reveal: REVEAL_MODE_NAMES[Number(reveal)] || REVEAL_MODE_NAMES[0],
+    film: FILM_NAMES[Number(film)] || FILM_NAMES[0],
+    focus: { x: Number(focusX) / 100, y: Number(focusY) / 100 },
+    caption: caption === undefined ? undefined : decodeURIComponent(caption),
+    format: FORMAT_NAMES[Number(format)],
+  };
+}
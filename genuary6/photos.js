@@ -0,0 +1,69 @@
+// Photos - Fitting any photo into a polaroid's image window
+// Photos are cropped (never stretched) to the window's aspect around a focal point,
+// given as 0..1 of the photo's width and height
+
+const CENTER_FOCUS = { x: 0.5, y: 0.5 };
+
+// Part of the photo shown in a w x h window: as large as fits, centered on
+// focus unless that would run off the photo's edge
+function cropRect(photo, w, h, focus = CENTER_FOCUS) {
+  let cropW = photo.width;
+  let cropH = photo.height;
+  if (cropW / cropH > w / h) {
+    cropW = cropH * (w / h);
+  } else {
+    cropH = cropW / (w / h);
+  }
+  return {
+    x: constrain(focus.x * photo.width - cropW / 2, 0, photo.width - cropW),
+    y: constrain(focus.y * photo.height - cropH / 2, 0, photo.height - cropH),
+    w: cropW,
+    h: cropH,
+  };
+}
+
+// The cropped photo at window size; nothing draws it any larger
+function cropPhoto(photo, w, h, focus = CENTER_FOCUS) {
+  let rect = cropRect(photo, w, h, focus);
+  let crop = photo.get(
+    round(rect.x),
+    round(rect.y),
+    round(rect.w),
+    round(rect.h)
+  );
+  crop.resize(round(w), round(h));
+  return crop;
+}
+
+// Focal point after dragging the visible crop by (dx, dy) window pixels:
+// the photo follows the cursor, so the focus moves the other way
+function panFocus(photo, w, h, focus, dx, dy) {
+  let rect = cropRect(photo, w, h, focus);
+  let x = focus.x - ((dx / w) * rect.w) / photo.width;
+  let y = focus.y - ((dy / h) * rect.h) / photo.height;
+  // Keep the focus where the crop can still follow it
+  let halfW = rect.w / photo.width / 2;
+  let halfH = rect.h / photo.height / 2;
+  return {
+    x: constrain(x, halfW, 1 - halfW),
+    y: constrain(y, halfH, 1 - halfH),
+  };
+}
+
+// Words kept lowercase inside titles
+const TITLE_SMALL_WORDS = "a an and at by for in of on the to".split(" ");
+
+// "a-woman-in-the-sun.jpg" -> "A Woman in the Sun"
+function titleFromFilename(name) {
+  let words = name
+    .replace(/\.[^.]*$/, "")
+    .split(/[-_\s]+/)
+    .filter(Boolean);
+  return words
+    .map((word, i) => {
+      word = word.toLowerCase();
+      if (i > 0 && TITLE_SMALL_WORDS.includes(word)) return word;
+      return word[0].toUpperCase() + word.slice(1);
+    })
+    .join(" ");
+}
@@ -0,0 +1,154 @@
+// Table Physics - Polaroids slide, spin and nudge each other on the table
+// Each card has a velocity (vx, vy) and spin in pixels and radians per frame.
+// A held card follows the cursor by its grip point and swings around it; let go,
+// it keeps the throw and slows down with friction. Cards never change stacking order
+
+const FRICTION = 0.92; // share of a free card's speed kept each frame
+const SPIN_FRICTION = 0.85; // share of its spin kept each frame
+const GRIP_SPIN = 0.3; // how readily a held card swings around the grip
+const MIN_ARM = 20; // grip distance (px) below which a card barely swings
+const MAX_SPEED = 60; // fastest throw (px/frame)
+const MAX_SPIN = 0.05; // fastest thrown spin (rad/frame)
+const BOUNCE = 0.4; // share of speed kept bouncing off the table edge
+const PUSH_RADIUS = 0.4; // cards start pushing closer than this many widths...
+const PUSH_STRENGTH = 0.02; // ...with this much speed per pixel of overlap
+const REST_SPEED = 0.05; // cards slower than this (px/frame)...
+const REST_SPIN = 0.001; // ...and spinning slower than this (rad/frame) are at rest
+
+// Hold card at canvas point (x, y); the grip is kept in the card's own frame
+function grab(card, x, y) {
+  let local = rotateVector(x - card.x, y - card.y, -card.rotation);
+  card.grip = local;
+  card.vx = 0;
+  card.vy = 0;
+  card.spin = 0;
+}
+
+// Let go of a card: it keeps the speed and spin of its last frame,
+// up to MAX_SPEED and MAX_SPIN
+function release(card) {
+  let speed = Math.hypot(card.vx, card.vy);
+  if (speed > MAX_SPEED) {
+    card.vx *= MAX_SPEED / speed;
+    card.vy *= MAX_SPEED / speed;
+  }
+  card.spin = constrain(card.spin, -MAX_SPIN, MAX_SPIN);
+  card.grip = null;
+}
+
+// One frame: the held card follows pointer, the others slide and push apart.
+// Cards have their pixel size in card.size; table is the canvas { w, h }
+function updateTable(cards, held, pointer, table) {
+  if (held) followPointer(held, pointer);
+
+  for (let card of cards) {
+    if (card === held) continue;
+    card.x += card.vx;
+    card.y += card.vy;
+    card.rotation += card.spin;
+    card.vx *= FRICTION;
+    card.vy *= FRICTION;
+    card.spin *= SPIN_FRICTION;
+    keepOnTable(card, table);
+  }
+
+  pushApart(cards, held);
+}
+
+// Fastest card on the table (px/frame), for the sliding sound
+function tableSpeed(cards) {
+  let fastest = 0;
+  for (let card of cards) {
+    fastest = max(fastest, Math.hypot(card.vx, card.vy));
+  }
+  return fastest;
+}
+
+// Move the grip to the pointer; the pull swings the card so its center
+// trails behind the direction it is dragged
+function followPointer(card, pointer) {
+  let arm = rotateVector(card.grip.x, card.grip.y, card.rotation);
+  let pull = {
+    x: pointer.x - (card.x + arm.x),
+    y: pointer.y - (card.y + arm.y),
+  };
+  let torque =
+    (arm.x * pull.y - arm.y * pull.x) /
+    (arm.x * arm.x + arm.y * arm.y + MIN_ARM * MIN_ARM);
+  card.spin = GRIP_SPIN * torque;
+  card.rotation += card.spin;
+
+  arm = rotateVector(card.grip.x, card.grip.y, card.rotation);
+  let x = pointer.x - arm.x;
+  let y = pointer.y - arm.y;
+  card.vx = x - card.x;
+  card.vy = y - card.y;
+  card.x = x;
+  card.y = y;
+}
+
+// Bounce the card's center back inside the table, half a card from the edge
+function keepOnTable(card, table) {
+  let left = card.size.w / 2;
+  let right = table.w - card.size.w / 2;
+  let top = card.size.h / 2;
+  let bottom = table.h - card.size.h / 2;
+  if (card.x < left || card.x > right) {
+    card.x = constrain(card.x, left, right);
+    card.vx *= -BOUNCE;
+  }
+  if (card.y < top || card.y > bottom) {
+    card.y = constrain(card.y, top, bottom);
+    card.vy *= -BOUNCE;
+  }
+}
+
+// Cards closer than PUSH_RADIUS of their widths drift apart when either is moving, so
+// an arrangement at rest stays exactly as placed; the held card pushes but
+// is not pushed. Cards still waiting to fade in take no part
+function pushApart(cards, held) {
+  let visible = cards.filter((card) => card.fadeIn > 0);
+  for (let i = 0; i < visible.length; i++) {
+    for (let j = i + 1; j < visible.length; j++) {
+      let a = visible[i];
+      let b = visible[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let d = Math.hypot(dx, dy);
+      let reach = PUSH_RADIUS * (a.size.w + b.size.w);
+      if (d >= reach || (isResting(a, held) && isResting(b, held))) continue;
+      // Exactly stacked cards part in a random direction
+      if (d === 0) {
+        let angle = random(TWO_PI);
+        dx = cos(angle);
+        dy = sin(angle);
+        d = 1;
+      }
+      let push = (reach - d) * PUSH_STRENGTH;
+      let nx = dx / d;
+      let ny = dy / d;
+      if (a !== held) {
+        a.vx -= nx * push;
+        a.vy -= ny * push;
+      }
+      if (b !== held) {
+        b.vx += nx * push;
+        b.vy += ny * push;
+      }
+    }
+  }
+}
+
+function isResting(card, held) {
+  return (
+    card !== held &&
+    Math.hypot(card.vx, card.vy) < REST_SPEED &&
+    abs(card.spin) < REST_SPIN
+  );
+}
+
+function rotateVector(x, y, angle) {
+  let c = cos(angle);
+  let s = sin(angle);
+  return { x: x * c - y * s, y: x * s + y * c };
+}
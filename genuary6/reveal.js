@@ -0,0 +1,184 @@
+// Reveal Meshes - How a polaroid's negative develops into the photo
+// A mesh is a list of cells (polygons in polaroid buffer pixels) with a reveal order.
+// Each mode pairs a way of cutting up the image with an order to develop the cells in
+
+const NUM_RANDOM_POINTS = 80; // Number of random seed points (more = finer, pointillistic feel)
+const GRID_CELLS = 12; // grid mode: square cells across the image width
+const SWEEP_JITTER = 0.08; // sweep mode: raggedness of the developing edge (share of height)
+
+const REVEAL_MODES = {
+  random: { cells: triangleCells, order: "random" }, // Delaunay triangles, any order
+  voronoi: { cells: voronoiCells, order: "random" },
+  radial: { cells: triangleCells, order: "radial" }, // outward from where the cursor enters
+  sweep: { cells: triangleCells, order: "sweep" }, // top to bottom, like real instant film
+  luminance: { cells: voronoiCells, order: "luminance" }, // bright regions first
+  grid: { cells: gridCells, order: "random" }, // square pixels
+};
+
+const REVEAL_MODE_NAMES = Object.keys(REVEAL_MODES);
+
+// Cells for the image area `bounds` ({ left, top, w, h }); img is only needed
+// for luminance-driven reveals
+function generateMesh(bounds, mode = "random", img = null) {
+  let cells = REVEAL_MODES[mode].cells(bounds).map((vertices) => ({
+    vertices,
+    center: centroid(vertices),
+    progress: 0,
+    revealOrder: 0,
+  }));
+  orderCells(cells, mode, bounds, img);
+  return cells;
+}
+
+// Rank cells by when they start developing; origin (buffer pixels) is where
+// a radial reveal starts, the image center until the cursor gives one
+function orderCells(cells, mode, bounds, img, origin = null) {
+  let order = REVEAL_MODES[mode].order;
+  if (order === "luminance" && !img) order = "random";
+
+  if (order === "random") {
+    let ranks = cells.map((cell, i) => i);
+    shuffleArray(ranks);
+    cells.forEach((cell, i) => (cell.revealOrder = ranks[i]));
+    return;
+  }
+
+  let from = origin || {
+    x: bounds.left + bounds.w / 2,
+    y: bounds.top + bounds.h / 2,
+  };
+  let keys = cells.map((cell) => {
+    if (order === "radial") {
+      return dist(cell.center.x, cell.center.y, from.x, from.y);
+    }
+    if (order === "sweep") {
+      return cell.center.y + random(-1, 1) * SWEEP_JITTER * bounds.h;
+    }
+    return -brightnessAt(img, cell.center, bounds);
+  });
+
+  let sorted = cells.map((cell, i) => i).sort((a, b) => keys[a] - keys[b]);
+  sorted.forEach((cellIndex, rank) => (cells[cellIndex].revealOrder = rank));
+}
+
+// Delaunay triangles over scattered points
+function triangleCells(bounds) {
+  let { left, top, w, h } = bounds;
+  let points = [];
+
+  // Add corner points (required for complete coverage)
+  points.push([left, top]);
+  points.push([left + w, top]);
+  points.push([left, top + h]);
+  points.push([left + w, top + h]);
+
+  // Add edge points for better coverage
+  let edgePoints = 6;
+  for (let i = 1; i < edgePoints; i++) {
+    let t = i / edgePoints;
+    points.push([left + t * w, top]); // top
+    points.push([left + t * w, top + h]); // bottom
+    points.push([left, top + t * h]); // left
+    points.push([left + w, top + t * h]); // right
+  }
+
+  points.push(...randomPoints(bounds));
+
+  // Use d3.Delaunay for triangulation
+  const triIndices = d3.Delaunay.from(points).triangles;
+  let triangles = [];
+  for (let i = 0; i < triIndices.length; i += 3) {
+    triangles.push(
+      [triIndices[i], triIndices[i + 1], triIndices[i + 2]].map((index) => ({
+        x: points[index][0],
+        y: points[index][1],
+      }))
+    );
+  }
+  return triangles;
+}
+
+// Voronoi cells of scattered points, clipped to the image
+function voronoiCells(bounds) {
+  let { left, top, w, h } = bounds;
+  let points = randomPoints(bounds);
+  let voronoi = d3.Delaunay.from(points).voronoi([
+    left,
+    top,
+    left + w,
+    top + h,
+  ]);
+
+  let cells = [];
+  for (let i = 0; i < points.length; i++) {
+    let polygon = voronoi.cellPolygon(i);
+    if (!polygon) continue;
+    // Polygons are closed: the last point repeats the first
+    cells.push(polygon.slice(0, -1).map(([x, y]) => ({ x, y })));
+  }
+  return cells;
+}
+
+// Square cells, as many rows as fit the image's aspect
+function gridCells(bounds) {
+  let { left, top, w, h } = bounds;
+  let cols = GRID_CELLS;
+  let rows = max(1, round(h / (w / cols)));
+  let cellW = w / cols;
+  let cellH = h / rows;
+
+  let cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let x = left + c * cellW;
+      let y = top + r * cellH;
+      cells.push([
+        { x, y },
+        { x: x + cellW, y },
+        { x: x + cellW, y: y + cellH },
+        { x, y: y + cellH },
+      ]);
+    }
+  }
+  return cells;
+}
+
+function randomPoints(bounds) {
+  let points = [];
+  for (let i = 0; i < NUM_RANDOM_POINTS; i++) {
+    points.push([
+      bounds.left + random(0.05, 0.95) * bounds.w,
+      bounds.top + random(0.05, 0.95) * bounds.h,
+    ]);
+  }
+  return points;
+}
+
+function centroid(vertices) {
+  let x = 0;
+  let y = 0;
+  for (const v of vertices) {
+    x += v.x / vertices.length;
+    y += v.y / vertices.length;
+  }
+  return { x, y };
+}
+
+// Luminance 0..255 of the photo under a buffer point (the photo is stretched over bounds)
+function brightnessAt(img, point, bounds) {
+  let u = constrain((point.x - bounds.left) / bounds.w, 0, 1);
+  let v = constrain((point.y - bounds.top) / bounds.h, 0, 1);
+  let [r, g, b] = img.get(
+    floor(u * (img.width - 1)),
+    floor(v * (img.height - 1))
+  );
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Fisher-Yates shuffle
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+}
@@ -0,0 +1,99 @@
+// Polaroid Sound - Tone.js textures for developing, shutter clicks and sliding paper
+// Nothing is built until the first user gesture (browsers block audio before one),
+// and every call is a no-op if Tone.js failed to load or the gesture never came
+
+const DEVELOP_LEVEL = 0.12; // gain of the chemical fizz at full activity
+const DEVELOP_FULL_CELLS = 6; // cells developing at once for full activity
+const SLIDE_LEVEL = 0.35; // gain of the paper slide at full speed
+const SLIDE_MAX_SPEED = 40; // drag speed (px/frame) for the brightest slide
+const SLIDE_MIN_FREQ = 250; // slide band-pass center when barely moving (Hz)
+const SLIDE_MAX_FREQ = 2400; // ...and at full speed
+
+class PolaroidSound {
+  constructor(muted = false) {
+    this.muted = muted;
+    this.ready = false;
+    this.starting = false;
+  }
+
+  available() {
+    return typeof Tone !== "undefined";
+  }
+
+  // Call from a user gesture; the graph is built once the context is running
+  start() {
+    if (!this.available() || this.ready || this.starting) return;
+    this.starting = true;
+    Tone.start()
+      .then(() => {
+        this.build();
+        this.ready = true;
+      })
+      .catch((error) => console.warn("Sound unavailable:", error));
+  }
+
+  build() {
+    Tone.Destination.mute = this.muted;
+
+    // Develop: pink noise through a slowly wandering band-pass, like fizzing chemicals
+    this.developGain = new Tone.Gain(0).toDestination();
+    this.developFilter = new Tone.Filter(1200, "bandpass").connect(
+      this.developGain
+    );
+    this.developFilter.Q.value = 0.8;
+    new Tone.LFO(0.3, 700, 1800).connect(this.developFilter.frequency).start();
+    new Tone.Noise("pink").connect(this.developFilter).start();
+
+    // Slide: brown noise whose band-pass rises with drag speed
+    this.slideGain = new Tone.Gain(0).toDestination();
+    this.slideFilter = new Tone.Filter(SLIDE_MIN_FREQ, "bandpass").connect(
+      this.slideGain
+    );
+    new Tone.Noise("brown").connect(this.slideFilter).start();
+
+    // Shutter: a high noise burst over a short low thump
+    this.shutterNoise = new Tone.NoiseSynth({
+      noise: { type: "white" },
+      envelope: { attack: 0.001, decay: 0.05, sustain: 0 },
+      volume: -14,
+    }).connect(new Tone.Filter(2500, "highpass").toDestination());
+    this.shutterThump = new Tone.MembraneSynth({
+      pitchDecay: 0.008,
+      octaves: 2,
+      envelope: { attack: 0.001, decay: 0.08, sustain: 0 },
+      volume: -12,
+    }).toDestination();
+  }
+
+  // cells: number of the hovered polaroid's cells developing this frame
+  setDeveloping(cells) {
+    if (!this.ready) return;
+    let activity = min(1, cells / DEVELOP_FULL_CELLS);
+    this.developGain.gain.rampTo(activity * DEVELOP_LEVEL, 0.1);
+  }
+
+  // speed: drag distance this frame in pixels, 0 when nothing is dragged
+  setSliding(speed) {
+    if (!this.ready) return;
+    let t = min(1, speed / SLIDE_MAX_SPEED);
+    this.slideGain.gain.rampTo(t * SLIDE_LEVEL, 0.05);
+    this.slideFilter.frequency.rampTo(
+      lerp(SLIDE_MIN_FREQ, SLIDE_MAX_FREQ, t),
+      0.05
+    );
+  }
+
+  // Two clicks, like a shutter opening and closing
+  shutter() {
+    if (!this.ready) return;
+    let now = Tone.now();
+    this.shutterThump.triggerAttackRelease("C2", 0.05, now);
+    this.shutterNoise.triggerAttackRelease(0.04, now);
+    this.shutterNoise.triggerAttackRelease(0.03, now + 0.07);
+  }
+
+  toggleMute() {
+    this.muted = !this.muted;
+    if (this.ready) Tone.Destination.mute = this.muted;
+  }
+}